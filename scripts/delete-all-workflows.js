@@ -4,11 +4,10 @@
  * Delete ALL workflows from a FreeScout mailbox
  */
 
-import axios from 'axios';
-import https from 'https';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFreeScoutClient, freescoutOptionsFromEnv } from '../src/freescout-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,12 +18,8 @@ const FREESCOUT_BASE_URL = process.env.FREESCOUT_BASE_URL || 'https://freescout.
 const FREESCOUT_API_TOKEN = process.env.FREESCOUT_API_TOKEN || process.env.FREESCOUT_API_KEY;
 const MAILBOX_ID = 3; // Box 3 mailbox
 
-// Create axios instance with SSL verification disabled for local testing
-const client = axios.create({
-  httpsAgent: new https.Agent({
-    rejectUnauthorized: false
-  })
-});
+// Shared FreeScout client (TLS verification, timeouts and retries from .env)
+const client = createFreeScoutClient(freescoutOptionsFromEnv());
 
 /**
  * Get all workflows for a mailbox
@@ -34,12 +29,8 @@ async function getAllWorkflows(mailboxId) {
     console.log(`📋 Fetching all workflows for mailbox ${mailboxId}...`);
 
     const response = await client.get(
-      `${FREESCOUT_BASE_URL}/api/mailbox/${mailboxId}/workflows`,
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN
-        }
-      }
+      'getAllWorkflows',
+      `/api/mailbox/${mailboxId}/workflows`
     );
 
     // Handle FreeScout API response format
@@ -82,12 +73,8 @@ async function getAllWorkflows(mailboxId) {
 async function deleteWorkflow(workflowId, mailboxId) {
   try {
     await client.delete(
-      `${FREESCOUT_BASE_URL}/api/mailbox/${mailboxId}/workflows/${workflowId}`,
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN
-        }
-      }
+      'deleteWorkflow',
+      `/api/mailbox/${mailboxId}/workflows/${workflowId}`
     );
 
     return true;
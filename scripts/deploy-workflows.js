@@ -5,12 +5,11 @@
  * Reads workflows from box3-workflows-full-lifecycle.json and creates them in FreeScout
  */
 
-import axios from 'axios';
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFreeScoutClient, freescoutOptionsFromEnv } from '../src/freescout-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,12 +20,8 @@ const FREESCOUT_BASE_URL = process.env.FREESCOUT_BASE_URL || 'https://freescout.
 const FREESCOUT_API_TOKEN = process.env.FREESCOUT_API_TOKEN || process.env.FREESCOUT_API_KEY;
 const WEBHOOK_SERVER_URL = process.env.WEBHOOK_SERVER_URL || 'http://localhost:3000';
 
-// Create axios instance with SSL verification disabled for local testing
-const client = axios.create({
-  httpsAgent: new https.Agent({
-    rejectUnauthorized: false
-  })
-});
+// Shared FreeScout client (TLS verification, timeouts and retries from .env)
+const client = createFreeScoutClient(freescoutOptionsFromEnv());
 
 /**
  * Extract webhook events from workflow definitions
@@ -80,13 +75,8 @@ async function getExistingWebhooks() {
     console.log(`📋 Fetching existing webhooks...`);
 
     const response = await client.get(
-      `${FREESCOUT_BASE_URL}/api/webhooks`,
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+      'getExistingWebhooks',
+      '/api/webhooks'
     );
 
     const webhooks = response.data._embedded?.webhooks || [];
@@ -137,14 +127,9 @@ async function registerWebhook(webhookConfig, mailboxId) {
     console.log(`🌐 Endpoint: ${FREESCOUT_BASE_URL}/api/webhooks`);
 
     const response = await client.post(
-      `${FREESCOUT_BASE_URL}/api/webhooks`,
-      requestBody,
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+      'registerWebhook',
+      '/api/webhooks',
+      requestBody
     );
 
     console.log(`📥 Response status: ${response.status}`);
@@ -193,7 +178,8 @@ async function createWorkflow(workflow, mailboxId) {
     console.log(`📝 Creating: ${workflow.name}`);
 
     const response = await client.post(
-      `${FREESCOUT_BASE_URL}/api/mailbox/${mailboxId}/workflows`,
+      'createWorkflow',
+      `/api/mailbox/${mailboxId}/workflows`,
       {
         name: workflow.name,
         description: workflow.description || '',
@@ -203,12 +189,6 @@ async function createWorkflow(workflow, mailboxId) {
         actions: workflow.actions,
         max_executions: workflow.max_executions || 999,
         apply_to_prev: workflow.apply_to_prev || false
-      },
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
       }
     );
 
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Intent Detection Evaluation
+ *
+ * Runs a labelled JSONL dataset through the same detection code as
+ * /test/detect-intent (rules + OpenAI, with lifecycle context) and reports
+ * accuracy, per-intent precision/recall and a confusion matrix on the
+ * primary intent, and how often the full set of intents matches
+ * `expected_all`. Every run is saved to eval/runs/ so prompt versions can
+ * be compared. The run fails (exit code 1) when a sample errors or the
+ * primary accuracy is below --min-accuracy, so CI can gate on it.
+ *
+ * Dataset lines: { "id", "text", "subject"?, "tags"?, "last_agent_message"?,
+ *                  "expected", "expected_all"? }
+ *
+ * Usage:
+ *   node scripts/eval-intents.js [--dataset eval/intents.jsonl] [--label name] [--min-accuracy 0.8]
+ *   node scripts/eval-intents.js --record     # call OpenAI and save responses
+ *   node scripts/eval-intents.js --offline    # replay saved responses (no network)
+ *   node scripts/eval-intents.js --compare eval/runs/a.json eval/runs/b.json
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths in the server config (rules file, data dir) are relative to the project root
+process.chdir(path.join(__dirname, '..'));
+
+const NEEDS_REVIEW = 'NEEDS_REVIEW';
+const ERROR = 'ERROR';
+
+// Files that define detection behaviour; their hash identifies the detector version
+const DETECTOR_FILES = ['src/ai.js', 'src/intents.js', 'src/intent-rules.js', 'src/lifecycle.js', 'config/intent-rules.json'];
+
+function parseArgs(argv) {
+  const args = {
+    dataset: 'eval/intents.jsonl',
+    recordings: 'eval/recordings.json',
+    runsDir: 'eval/runs',
+    label: null,
+    minAccuracy: 0.8,
+    mode: 'live',
+    compare: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dataset') args.dataset = argv[++i];
+    else if (arg === '--recordings') args.recordings = argv[++i];
+    else if (arg === '--label') args.label = argv[++i];
+    else if (arg === '--min-accuracy') args.minAccuracy = Number(argv[++i]);
+    else if (arg === '--record') args.mode = 'record';
+    else if (arg === '--offline') args.mode = 'replay';
+    else if (arg === '--compare') args.compare = [argv[++i], argv[++i]];
+    else {
+      console.error(`❌ Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  if (!(args.minAccuracy >= 0 && args.minAccuracy <= 1)) {
+    console.error('❌ --min-accuracy must be between 0 and 1');
+    process.exit(1);
+  }
+
+  return args;
+}
+
+function readDataset(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const sample = JSON.parse(line);
+      if (!sample.text || !sample.expected) {
+        throw new Error(`${file}:${index + 1}: "text" and "expected" are required`);
+      }
+      return { id: sample.id || `line-${index + 1}`, ...sample };
+    });
+}
+
+function detectorHash() {
+  const hash = crypto.createHash('sha256');
+  DETECTOR_FILES.forEach(file => hash.update(fs.readFileSync(file)));
+  return hash.digest('hex').substring(0, 12);
+}
+
+/**
+ * Recorder backed by a JSON file (request hash → OpenAI response)
+ */
+function createFileRecorder(file, mode) {
+  const responses = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  return {
+    mode,
+    get: key => responses[key],
+    set: (key, response) => {
+      responses[key] = response;
+    },
+    save: () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(responses, null, 2));
+    }
+  };
+}
+
+/**
+ * Whether the detected intents are exactly the expected ones, in any order
+ */
+function sameIntents(expected, predicted) {
+  const expectedSet = new Set(expected);
+  const predictedSet = new Set(predicted);
+  return expectedSet.size === predictedSet.size && [...expectedSet].every(intent => predictedSet.has(intent));
+}
+
+/**
+ * Accuracy, per-intent precision/recall and confusion matrix on the primary
+ * intent, plus the share of samples whose full intent set is right
+ */
+function computeMetrics(samples) {
+  const confusion = {};
+  const labels = new Set();
+
+  for (const sample of samples) {
+    labels.add(sample.expected);
+    labels.add(sample.predicted);
+    confusion[sample.expected] ??= {};
+    confusion[sample.expected][sample.predicted] = (confusion[sample.expected][sample.predicted] || 0) + 1;
+  }
+
+  const perIntent = {};
+  for (const intent of [...new Set(samples.map(s => s.expected))].sort()) {
+    const truePositives = samples.filter(s => s.expected === intent && s.predicted === intent).length;
+    const predictedCount = samples.filter(s => s.predicted === intent).length;
+    const support = samples.filter(s => s.expected === intent).length;
+
+    perIntent[intent] = {
+      precision: predictedCount ? truePositives / predictedCount : null,
+      recall: support ? truePositives / support : null,
+      support
+    };
+  }
+
+  const correct = samples.filter(s => s.correct).length;
+  const allCorrect = samples.filter(s => s.all_correct).length;
+
+  return {
+    summary: {
+      total: samples.length,
+      correct,
+      accuracy: samples.length ? correct / samples.length : 0,
+      all_correct: allCorrect,
+      all_accuracy: samples.length ? allCorrect / samples.length : 0,
+      needs_review: samples.filter(s => s.predicted === NEEDS_REVIEW).length,
+      errors: samples.filter(s => s.predicted === ERROR).length,
+      decided_by_rules: samples.filter(s => s.decided_by === 'rules').length
+    },
+    per_intent: perIntent,
+    confusion,
+    labels: [...labels].sort()
+  };
+}
+
+function percent(value) {
+  return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(run) {
+  const { summary, per_intent: perIntent, confusion, labels } = run;
+
+  console.log(`\n📊 Intent evaluation: ${run.label} (${run.mode}, detector ${run.detector_hash})`);
+  console.log(`   Accuracy: ${percent(summary.accuracy)} (${summary.correct}/${summary.total})`);
+  console.log(`   All intents: ${percent(summary.all_accuracy)} (${summary.all_correct}/${summary.total} match expected_all)`);
+  console.log(`   Decided by rules: ${summary.decided_by_rules}, needs review: ${summary.needs_review}, errors: ${summary.errors}`);
+
+  console.log('\n   Intent                 Precision  Recall  Support');
+  for (const [intent, stats] of Object.entries(perIntent)) {
+    console.log(`   ${intent.padEnd(22)} ${percent(stats.precision)}   ${percent(stats.recall)}  ${String(stats.support).padStart(5)}`);
+  }
+
+  // Rows: expected, columns: predicted (numbered to keep the table narrow)
+  console.log('\n   Confusion matrix (rows = expected, columns = predicted):');
+  labels.forEach((label, i) => console.log(`   [${i + 1}] ${label}`));
+  console.log(`   ${''.padEnd(6)}${labels.map((_, i) => `[${i + 1}]`.padStart(5)).join('')}`);
+  for (const [i, expected] of labels.entries()) {
+    if (!confusion[expected]) continue;
+    const cells = labels.map(predicted => String(confusion[expected][predicted] || '.').padStart(5));
+    console.log(`   ${`[${i + 1}]`.padEnd(6)}${cells.join('')}`);
+  }
+
+  if (run.mode === 'replay' && summary.errors > 0) {
+    console.log(`\n   ⚠️  ${summary.errors} sample(s) have no recorded response - run with --record first`);
+  }
+
+  const misses = run.samples.filter(s => !s.correct);
+  if (misses.length > 0) {
+    console.log('\n   Misclassified:');
+    misses.forEach(s => console.log(`   - ${s.id}: expected ${s.expected}, got ${s.predicted}${s.error ? ` (${s.error})` : ''}`));
+  }
+
+  // Right primary intent, but intents missing or extra
+  const partial = run.samples.filter(s => s.correct && !s.all_correct);
+  if (partial.length > 0) {
+    console.log('\n   Wrong intent set:');
+    partial.forEach(s => console.log(`   - ${s.id}: expected [${s.expected_all.join(', ')}], got [${s.predicted_all.join(', ')}]`));
+  }
+}
+
+/**
+ * Reasons the run fails, empty when it passes
+ */
+function runFailures(run, minAccuracy) {
+  const failures = [];
+  if (run.summary.errors > 0) failures.push(`${run.summary.errors} sample(s) failed with an error`);
+  if (run.summary.accuracy < minAccuracy) {
+    failures.push(`accuracy ${percent(run.summary.accuracy).trim()} is below --min-accuracy ${minAccuracy}`);
+  }
+  return failures;
+}
+
+function compareRuns(fileA, fileB) {
+  const a = JSON.parse(fs.readFileSync(fileA, 'utf8'));
+  const b = JSON.parse(fs.readFileSync(fileB, 'utf8'));
+
+  const delta = (x, y) => (x === null || y === null ? '   -  ' : `${((y - x) * 100).toFixed(1).padStart(5)}`);
+
+  console.log(`\n⚖️  ${a.label} (${a.detector_hash}) → ${b.label} (${b.detector_hash})`);
+  console.log(`   Accuracy: ${percent(a.summary.accuracy)} → ${percent(b.summary.accuracy)} (${delta(a.summary.accuracy, b.summary.accuracy)} pts)`);
+
+  console.log('\n   Intent                 Recall A  Recall B   Δ pts');
+  const intents = [...new Set([...Object.keys(a.per_intent), ...Object.keys(b.per_intent)])].sort();
+  for (const intent of intents) {
+    const recallA = a.per_intent[intent]?.recall ?? null;
+    const recallB = b.per_intent[intent]?.recall ?? null;
+    console.log(`   ${intent.padEnd(22)} ${percent(recallA)}   ${percent(recallB)}  ${delta(recallA, recallB)}`);
+  }
+
+  const before = new Map(a.samples.map(s => [s.id, s]));
+  const changed = b.samples.filter(s => before.has(s.id) && before.get(s.id).predicted !== s.predicted);
+  if (changed.length > 0) {
+    console.log('\n   Changed predictions:');
+    for (const s of changed) {
+      const old = before.get(s.id);
+      const marker = s.correct ? '✅' : old.correct ? '❌' : '↔️ ';
+      console.log(`   ${marker} ${s.id}: ${old.predicted} → ${s.predicted} (expected ${s.expected})`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.compare) {
+    compareRuns(...args.compare);
+    return;
+  }
+
+  // Keep the report readable; detection logs only warnings and errors
+  process.env.LOG_LEVEL ||= 'warn';
+  // Evaluation prompts are not customer traffic; keep them out of the PII audit log
+  process.env.PII_AUDIT_LOG = '';
+  if (args.mode === 'replay') {
+    // Replayed responses need no key, but detection must take the model path
+    process.env.OPENAI_API_KEY ||= 'offline-replay';
+  }
+
+  const { detectIntent } = await import('../src/ai.js');
+  const { buildMessageIntentContext } = await import('../src/lifecycle.js');
+  const { setResponseRecorder } = await import('../src/openai-client.js');
+
+  const recorder = args.mode === 'live' ? null : createFileRecorder(args.recordings, args.mode);
+  setResponseRecorder(recorder);
+
+  const dataset = readDataset(args.dataset);
+  console.log(`🧪 Evaluating ${dataset.length} samples from ${args.dataset} (${args.mode})...`);
+
+  const samples = [];
+  for (const sample of dataset) {
+    const context = buildMessageIntentContext(sample.text, {
+      tags: sample.tags,
+      lastAgentMessage: sample.last_agent_message
+    });
+
+    try {
+      const result = await detectIntent(sample.text, sample.subject || '', context);
+      const predicted = result.needsReview ? NEEDS_REVIEW : result.intent;
+      const expectedAll = sample.expected_all || [sample.expected];
+      const predictedAll = result.intents.map(entry => entry.intent);
+
+      samples.push({
+        id: sample.id,
+        expected: sample.expected,
+        predicted,
+        correct: predicted === sample.expected,
+        expected_all: expectedAll,
+        predicted_all: predictedAll,
+        all_correct: sameIntents(expectedAll, predictedAll),
+        confidence: result.confidence,
+        decided_by: result.decidedBy,
+        stage: context?.stage || null
+      });
+    } catch (error) {
+      samples.push({
+        id: sample.id,
+        expected: sample.expected,
+        predicted: ERROR,
+        correct: false,
+        all_correct: false,
+        error: error.message
+      });
+    }
+  }
+
+  if (args.mode === 'record') {
+    recorder.save();
+    console.log(`💾 Recorded responses saved to ${args.recordings}`);
+  }
+
+  const createdAt = new Date().toISOString();
+  const run = {
+    label: args.label || `run-${createdAt.replace(/[:.]/g, '-')}`,
+    created_at: createdAt,
+    dataset: args.dataset,
+    mode: args.mode,
+    detector_hash: detectorHash(),
+    ...computeMetrics(samples),
+    samples
+  };
+
+  printReport(run);
+
+  fs.mkdirSync(args.runsDir, { recursive: true });
+  const runFile = path.join(args.runsDir, `${run.label}.json`);
+  fs.writeFileSync(runFile, JSON.stringify(run, null, 2));
+  console.log(`\n💾 Run saved to ${runFile}`);
+  console.log(`   Compare with: npm run eval:intents -- --compare <other run> ${runFile}\n`);
+
+  const failures = runFailures(run, args.minAccuracy);
+  if (failures.length > 0) {
+    failures.forEach(failure => console.error(`❌ ${failure}`));
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exit(1);
+});
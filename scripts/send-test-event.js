@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Send a Test Webhook Event
+ *
+ * Posts a FreeScout-style event to the local webhook server, signed with
+ * FREESCOUT_WEBHOOK_SECRET when it is set (without it, the server only accepts
+ * the event with WEBHOOK_ALLOW_UNSIGNED=true).
+ *
+ * Usage:
+ *   node scripts/send-test-event.js [event] [conversation id]
+ *   npm run test:event
+ */
+
+import axios from 'axios';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computeSignature } from '../src/webhook-signature.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const [event = 'workflow.convo.box3.welcome.generate', conversationId = '123'] = process.argv.slice(2);
+const url = `http://localhost:${process.env.WEBHOOK_PORT || 3000}/webhook/event`;
+
+// FreeScout sends the conversation at root level and the event name in a header
+const body = JSON.stringify({ id: Number(conversationId), subject: 'Test event', _embedded: { threads: [] } });
+
+const headers = { 'Content-Type': 'application/json', 'X-Freescout-Event': event };
+if (process.env.FREESCOUT_WEBHOOK_SECRET) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  headers['X-Webhook-Timestamp'] = timestamp;
+  headers['X-Webhook-Signature'] = computeSignature(process.env.FREESCOUT_WEBHOOK_SECRET, timestamp, body);
+}
+
+try {
+  // Send the exact bytes that were signed
+  const response = await axios.post(url, body, { headers, transformRequest: [data => data] });
+  console.log(`${response.status} ${JSON.stringify(response.data, null, 2)}`);
+} catch (error) {
+  console.error(error.response ? `${error.response.status} ${JSON.stringify(error.response.data, null, 2)}` : error.message);
+  process.exit(1);
+}
@@ -5,12 +5,11 @@
  * Updates workflows in-place to preserve their IDs
  */
 
-import axios from 'axios';
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFreeScoutClient, freescoutOptionsFromEnv } from '../src/freescout-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,12 +19,8 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const FREESCOUT_BASE_URL = process.env.FREESCOUT_BASE_URL || 'https://freescout.test';
 const FREESCOUT_API_TOKEN = process.env.FREESCOUT_API_TOKEN || process.env.FREESCOUT_API_KEY;
 
-// Create axios instance with SSL verification disabled for local testing
-const client = axios.create({
-  httpsAgent: new https.Agent({
-    rejectUnauthorized: false
-  })
-});
+// Shared FreeScout client (TLS verification, timeouts and retries from .env)
+const client = createFreeScoutClient(freescoutOptionsFromEnv());
 
 /**
  * Get all existing workflows from FreeScout
@@ -35,13 +30,8 @@ async function getExistingWorkflows(mailboxId) {
     console.log(`📋 Fetching existing workflows from mailbox ${mailboxId}...`);
 
     const response = await client.get(
-      `${FREESCOUT_BASE_URL}/api/mailbox/${mailboxId}/workflows`,
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+      'getExistingWorkflows',
+      `/api/mailbox/${mailboxId}/workflows`
     );
 
     const workflows = response.data._embedded?.workflows || [];
@@ -62,7 +52,8 @@ async function updateWorkflow(workflowId, workflowData, mailboxId) {
     console.log(`📝 Updating: ${workflowData.name} (ID: ${workflowId})`);
 
     const response = await client.put(
-      `${FREESCOUT_BASE_URL}/api/mailbox/${mailboxId}/workflows/${workflowId}`,
+      'updateWorkflow',
+      `/api/mailbox/${mailboxId}/workflows/${workflowId}`,
       {
         name: workflowData.name,
         description: workflowData.description || '',
@@ -72,12 +63,6 @@ async function updateWorkflow(workflowId, workflowData, mailboxId) {
         actions: workflowData.actions,
         max_executions: workflowData.max_executions || 999,
         apply_to_prev: workflowData.apply_to_prev || false
-      },
-      {
-        headers: {
-          'X-Automail-API-Key': FREESCOUT_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
       }
     );
 
@@ -0,0 +1,37 @@
+/**
+ * Admin API Authentication
+ *
+ * Bearer token check for the /admin endpoints, which expose customer
+ * payloads and can re-run events.
+ */
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Create an Express middleware that requires `Authorization: Bearer <token>`
+ *
+ * When no token is configured the check is skipped (local development).
+ */
+export function requireAdminToken(token) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return next();
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const received = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+
+    if (!match || !crypto.timingSafeEqual(expected, received)) {
+      logger.warn('Admin request rejected', { path: req.originalUrl, ip: req.ip });
+      return res.status(401).json({
+        status: 'error',
+        message: 'Admin token required'
+      });
+    }
+
+    next();
+  };
+}
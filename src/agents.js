@@ -0,0 +1,26 @@
+/**
+ * AI Agents
+ *
+ * Agent definitions, keyed by FreeScout user ID. Each agent's prompt is a
+ * file in PROMPTS_DIR (see prompts.js); agents without an entry use the
+ * default-agent prompt.
+ */
+
+/**
+ * Agent definitions and the names of their prompts
+ * Only includes agents actively used in the Box3 workflows
+ */
+export const AGENTS = {
+  22: {
+    name: 'Intake Agent',
+    prompt: 'intake-agent'
+  },
+  23: {
+    name: 'Quote Agent',
+    prompt: 'quote-agent'
+  },
+  26: {
+    name: 'Payment Agent',
+    prompt: 'payment-agent'
+  }
+};
@@ -0,0 +1,454 @@
+/**
+ * AI Services
+ *
+ * Intent detection, draft and welcome email generation through the
+ * configured LLM provider per task (see llm-tasks.js), and Onyx AI document
+ * retrieval for the Intake Agent (RAG).
+ */
+
+import axios from 'axios';
+import { CONFIG } from './config.js';
+import { createChatCompletion } from './openai-client.js';
+import { AGENTS } from './agents.js';
+import { formatCustomFieldsForPrompt } from './custom-fields.js';
+import { formatIntentsForPrompt, validateIntentResult } from './intents.js';
+import { classifyWithRules, getIntentRules } from './intent-rules.js';
+import { LLMBudgetExceededError } from './llm-costs.js';
+import { getTaskSettings, isTaskConfigured } from './llm-tasks.js';
+import { auditRedaction, createRedactor } from './pii.js';
+import { DEFAULT_AGENT_PROMPT, INTENT_PROMPT, promptLabel, renderPrompt, SUMMARY_PROMPT, WELCOME_PROMPT } from './prompts.js';
+import { logger } from './logger.js';
+import { errorStatusLabel, onyxRequestDuration } from './metrics.js';
+
+// Language codes (see SUPPORTED_LANGUAGES in language.js) to the names used in prompts
+const LANGUAGE_NAMES = {
+  'nl': 'Dutch',
+  'en': 'English',
+  'de': 'German',
+  'fr': 'French'
+};
+
+/**
+ * Name of a reply language for the prompt; an unknown code falls back to
+ * Dutch and is logged
+ */
+function languageNameFor(language) {
+  if (LANGUAGE_NAMES[language]) return LANGUAGE_NAMES[language];
+  logger.warn('Unsupported reply language - writing in Dutch', { language, fallback: 'nl' });
+  return LANGUAGE_NAMES.nl;
+}
+
+/**
+ * Query Onyx AI for relevant context from embedded documents
+ *
+ * The question is the customer's message: it is redacted and audited like an
+ * LLM prompt (see pii.js), and placeholders in the answer are restored.
+ */
+export async function queryOnyxAI(question) {
+  const endTimer = onyxRequestDuration.startTimer();
+  try {
+    logger.info('Querying Onyx AI for context', { query_chars: question.length });
+
+    const redactor = CONFIG.piiRedaction ? createRedactor() : null;
+    const query = redactor ? redactor.redact(question) : question;
+    if (redactor) {
+      const { counts, placeholders } = redactor.summary();
+      auditRedaction({ operation: 'queryOnyxAI', task: 'onyx', provider: 'onyx', model: null, prompt: null, redacted: counts, placeholders });
+    }
+
+    const response = await axios.post(
+      `${CONFIG.onyxAiUrl}/api/chat`,
+      {
+        query,
+        // Adjust these parameters based on your Onyx AI setup
+        collection: 'box3-documents', // Your document collection name
+        top_k: 3, // Number of relevant documents to retrieve
+        include_sources: true
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${CONFIG.onyxAiApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000 // 10 second timeout
+      }
+    );
+
+    endTimer({ status: String(response.status) });
+
+    const answer = response.data.answer || response.data.context || '';
+    const context = redactor ? redactor.restore(answer) : answer;
+    const sources = response.data.sources || [];
+
+    logger.info('Onyx AI returned context', { context_chars: context.length, sources: sources.length });
+
+    return {
+      context,
+      sources
+    };
+  } catch (error) {
+    endTimer({ status: errorStatusLabel(error) });
+    logger.warn('Onyx AI query failed - falling back to OpenAI without document context', { error });
+    return {
+      context: '',
+      sources: []
+    };
+  }
+}
+
+/**
+ * Analyze conversation using OpenAI to detect intent
+ *
+ * A reply can contain several intents ("I've paid, and I have a question");
+ * every intent is returned with a supporting excerpt, plus a primary intent
+ * for routing. Returns the validated result (see validateIntentResult)
+ * with the `prompt` ({ name, version }) it was detected with.
+ *
+ * `context` (see buildIntentContext) adds the lifecycle stage and tags, the
+ * last agent message and recent history, and limits the intents to the
+ * candidates for the stage.
+ */
+export async function detectIntentWithOpenAI(conversationText, subject, context = null) {
+  try {
+    const candidates = context?.candidates || null;
+
+    let contextSection = '';
+    if (context) {
+      contextSection = `Lifecycle stage: ${context.stage}
+Current lifecycle tags: ${context.tags.length > 0 ? context.tags.join(', ') : 'none'}
+
+Last agent message:
+${context.lastAgentMessage || '(none)'}
+
+Recent conversation history:
+${context.history || '(none)'}
+
+`;
+    }
+
+    const systemPrompt = renderPrompt(INTENT_PROMPT, { intents: formatIntentsForPrompt(candidates) });
+    const llm = getTaskSettings('intent');
+    const completion = await createChatCompletion('detectIntent', {
+      model: llm.model,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt.text
+        },
+        {
+          role: 'user',
+          content: `${contextSection}Subject: ${subject}\n\nEmail content:\n${conversationText}\n\nWhich intents does the customer express?`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: llm.temperature,
+      max_tokens: llm.max_tokens
+    }, { provider: llm.provider, task: 'intent', prompt: promptLabel(systemPrompt) });
+
+    const content = completion.choices[0].message.content;
+    let raw = null;
+    try {
+      raw = JSON.parse(content);
+    } catch {
+      logger.warn('Intent response is not valid JSON', { content: content.substring(0, 200) });
+    }
+
+    const result = validateIntentResult(raw, candidates);
+    logger.info('OpenAI detected intent', {
+      provider: llm.provider,
+      model: llm.model,
+      prompt: promptLabel(systemPrompt),
+      intent: result.intent,
+      confidence: result.confidence,
+      intents: result.intents.map(entry => entry.intent),
+      rejected: result.rejected.map(entry => `${entry.intent}: ${entry.problem}`),
+      needs_review: result.needsReview,
+      review_reason: result.reviewReason
+    });
+    return { ...result, prompt: { name: systemPrompt.name, version: systemPrompt.version } };
+  } catch (error) {
+    // A reached budget is handled by the caller's fallback, not an API error
+    if (!(error instanceof LLMBudgetExceededError)) {
+      logger.error('OpenAI API error', { operation: 'detectIntent', error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Detect intents: rule-based pre-classifier first, OpenAI when the rules
+ * are not certain
+ *
+ * Without credentials for the intent task's provider, or once an LLM budget
+ * cap is reached, the rules are the only classifier (offline fallback). The
+ * result has `decidedBy: 'rules' | 'model'` and the IDs of the matched rules.
+ * `context` is the lifecycle context (see buildIntentContext); its candidate
+ * intents apply to rules and model alike.
+ */
+export async function detectIntent(conversationText, subject, context = null) {
+  const candidates = context?.candidates || null;
+  const rules = CONFIG.intentRulesEnabled
+    ? classifyWithRules(getIntentRules(), conversationText, subject, candidates)
+    : null;
+  const ruleIds = rules ? rules.matches.map(match => match.rule) : [];
+
+  if (rules?.certain) {
+    logger.info('Intent decided by rules - skipping OpenAI', { rules: ruleIds });
+    return { ...validateIntentResult(rules.raw, candidates), decidedBy: 'rules', rules: ruleIds };
+  }
+
+  let modelUnavailable = 'the LLM provider is not configured';
+  if (isTaskConfigured('intent') || !rules) {
+    try {
+      const result = await detectIntentWithOpenAI(conversationText, subject, context);
+      return { ...result, decidedBy: 'model', rules: ruleIds };
+    } catch (error) {
+      if (!(error instanceof LLMBudgetExceededError)) throw error;
+      modelUnavailable = `the ${error.scope} LLM budget is reached`;
+    }
+  }
+
+  if (!rules) {
+    logger.warn('LLM budget reached and intent rules disabled - intent needs review', { reason: modelUnavailable });
+    return { ...validateIntentResult(null, candidates), needsReview: true, reviewReason: `intent rules are disabled and ${modelUnavailable}`, decidedBy: 'rules', rules: [] };
+  }
+
+  logger.warn('LLM not available for intents - using rule matches only', { rules: ruleIds, reason: modelUnavailable });
+  const result = validateIntentResult(rules.raw, candidates);
+
+  if (rules.conflicts.length > 0) {
+    const conflictText = rules.conflicts.map(pair => pair.join(' vs ')).join(', ');
+    return { ...result, needsReview: true, reviewReason: `conflicting rule matches: ${conflictText}`, decidedBy: 'rules', rules: ruleIds };
+  }
+  if (rules.matches.length === 0) {
+    return { ...result, reviewReason: `no rule matched and ${modelUnavailable}`, decidedBy: 'rules', rules: ruleIds };
+  }
+  return { ...result, decidedBy: 'rules', rules: ruleIds };
+}
+
+/**
+ * Summarize the older part of a conversation history
+ *
+ * `previousSummary` is the summary of the messages before `messages` (or
+ * empty); the result replaces it. Returns { summary, prompt }.
+ */
+export async function summarizeHistory(previousSummary, messages) {
+  try {
+    const systemPrompt = renderPrompt(SUMMARY_PROMPT);
+    const llm = getTaskSettings('summary');
+    const completion = await createChatCompletion('summarizeHistory', {
+      model: llm.model,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt.text
+        },
+        {
+          role: 'user',
+          content: `Previous summary:
+${previousSummary || '(none)'}
+
+Messages after the previous summary:
+${messages}
+
+Write the new summary.`
+        }
+      ],
+      temperature: llm.temperature,
+      max_tokens: llm.max_tokens
+    }, { provider: llm.provider, task: 'summary', prompt: promptLabel(systemPrompt) });
+
+    const summary = completion.choices[0].message.content.trim();
+    logger.info('OpenAI summarized conversation history', {
+      provider: llm.provider,
+      model: llm.model,
+      prompt: promptLabel(systemPrompt),
+      input_chars: messages.length,
+      summary_chars: summary.length
+    });
+
+    return { summary, prompt: { name: systemPrompt.name, version: systemPrompt.version } };
+  } catch (error) {
+    if (!(error instanceof LLMBudgetExceededError)) {
+      logger.error('OpenAI API error', { operation: 'summarizeHistory', error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate AI draft reply for agent using agent-specific prompt
+ *
+ * `history` is the conversation history from buildConversationHistory().
+ * Returns { body, prompt, sourceText } where `prompt` is the { name,
+ * version } of the agent prompt used and `sourceText` the prompt text the
+ * guardrails check facts against.
+ */
+export async function generateDraftReply(history, subject, assignedUserId, language = 'nl', serviceContext = null, conversation = null) {
+  try {
+    // Get agent-specific prompt or use default
+    const agentConfig = AGENTS[assignedUserId];
+    const agentPrompt = renderPrompt(agentConfig ? agentConfig.prompt : DEFAULT_AGENT_PROMPT);
+    const agentName = agentConfig ? agentConfig.name : 'General Agent';
+
+    logger.info('Generating draft reply', {
+      agent: agentName,
+      user_id: assignedUserId,
+      language,
+      service_focus: serviceContext?.focus
+    });
+
+    // Add custom fields to prompt if available
+    let customFieldsContext = '';
+    if (conversation) {
+      customFieldsContext = formatCustomFieldsForPrompt(conversation);
+    }
+
+    const languageName = languageNameFor(language);
+
+    // For Intake Agent (ID 22), query Onyx AI for document context
+    let additionalContext = '';
+    let sources = [];
+
+    if (assignedUserId === 22 && CONFIG.onyxAiApiKey) {
+      logger.info('Intake Agent detected - querying Onyx AI for document context');
+
+      // The latest customer message is the query
+      const customerQuery = history.latestCustomerMessage || history.text;
+
+      const onyxResult = await queryOnyxAI(customerQuery);
+
+      if (onyxResult.context) {
+        additionalContext = `\n\n=== RELEVANT INFORMATION FROM INTERNAL DOCUMENTS ===\n${onyxResult.context}\n=== END OF DOCUMENT CONTEXT ===\n\nUse the above information from our internal documents to help answer the customer's questions. If the documents contain relevant information, reference it in your response.`;
+        sources = onyxResult.sources;
+      }
+    }
+
+    // Add service-specific context if available
+    let servicePromptAddition = '';
+    if (serviceContext && serviceContext.focus !== 'Box 3 vermogensbelasting bezwaar') {
+      servicePromptAddition = `\n\n=== SERVICE CONTEXT ===\nThis conversation is about: ${serviceContext.focus}\n${serviceContext.additionalContext}\n=== END OF SERVICE CONTEXT ===`;
+    }
+
+    const llm = getTaskSettings('draft', assignedUserId);
+    const messages = [
+      {
+        role: 'system',
+        content: agentPrompt.text
+      },
+      {
+        role: 'user',
+        content: `Language: ${languageName}
+Subject: ${subject}
+
+Conversation history:
+${history.text}${additionalContext}${servicePromptAddition}${customFieldsContext}
+
+Generate a draft reply in ${languageName} for the agent to review and send. Use any relevant custom field data provided above to personalize the response.`
+      }
+    ];
+    const completion = await createChatCompletion('generateDraftReply', {
+      model: llm.model,
+      messages,
+      temperature: llm.temperature,
+      max_tokens: llm.max_tokens
+    }, { agent: agentName, provider: llm.provider, task: 'draft', prompt: promptLabel(agentPrompt) });
+
+    const draftReply = completion.choices[0].message.content.trim();
+    logger.info('OpenAI generated draft reply', {
+      agent: agentName,
+      provider: llm.provider,
+      model: llm.model,
+      prompt: promptLabel(agentPrompt),
+      draft_chars: draftReply.length,
+      onyx_sources: sources.length
+    });
+
+    return {
+      body: draftReply,
+      prompt: { name: agentPrompt.name, version: agentPrompt.version },
+      sourceText: messages.map(message => message.content).join('\n\n')
+    };
+  } catch (error) {
+    if (!(error instanceof LLMBudgetExceededError)) {
+      logger.error('OpenAI API error', { operation: 'generateDraftReply', error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate AI welcome email based on customer's initial message
+ *
+ * Returns { body, prompt, sourceText } where `prompt` is the { name,
+ * version } of the welcome prompt used and `sourceText` the prompt text the
+ * guardrails check facts against.
+ */
+export async function generateWelcomeEmail(customerMessage, subject, customerName, language = 'nl', serviceContext = null, conversation = null) {
+  try {
+    logger.info('Generating personalized welcome email', {
+      customer_name: customerName,
+      language,
+      service_focus: serviceContext?.focus
+    });
+
+    const languageName = languageNameFor(language);
+
+    // Build service-specific context for the prompt
+    let servicePromptAddition = '';
+    if (serviceContext && serviceContext.focus !== 'Box 3 vermogensbelasting bezwaar') {
+      servicePromptAddition = `\n\n**Service Context:**\nThis customer is inquiring about: ${serviceContext.focus}\n${serviceContext.additionalContext}`;
+    }
+
+    // Add custom fields to prompt if available
+    let customFieldsContext = '';
+    if (conversation) {
+      customFieldsContext = formatCustomFieldsForPrompt(conversation);
+    }
+
+    const systemPrompt = renderPrompt(WELCOME_PROMPT);
+    const llm = getTaskSettings('welcome');
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt.text
+      },
+      {
+        role: 'user',
+        content: `Customer name: ${customerName}
+Language: ${languageName}
+Subject: ${subject}
+
+Customer's initial message:
+${customerMessage}${servicePromptAddition}${customFieldsContext}
+
+Generate a personalized welcome email in ${languageName} that acknowledges their specific situation and uses any relevant custom field data provided above.`
+      }
+    ];
+    const completion = await createChatCompletion('generateWelcomeEmail', {
+      model: llm.model,
+      messages,
+      temperature: llm.temperature,
+      max_tokens: llm.max_tokens
+    }, { provider: llm.provider, task: 'welcome', prompt: promptLabel(systemPrompt) });
+
+    const welcomeEmail = completion.choices[0].message.content.trim();
+    logger.info('OpenAI generated personalized welcome email', {
+      provider: llm.provider,
+      model: llm.model,
+      prompt: promptLabel(systemPrompt),
+      email_chars: welcomeEmail.length
+    });
+
+    return {
+      body: welcomeEmail,
+      prompt: { name: systemPrompt.name, version: systemPrompt.version },
+      sourceText: messages.map(message => message.content).join('\n\n')
+    };
+  } catch (error) {
+    if (!(error instanceof LLMBudgetExceededError)) {
+      logger.error('OpenAI API error', { operation: 'generateWelcomeEmail', error });
+    }
+    throw error;
+  }
+}
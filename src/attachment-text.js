@@ -0,0 +1,67 @@
+/**
+ * Attachment Text Extraction
+ *
+ * Extracts text from customer attachments locally (no external service):
+ * PDFs page by page via pdf-parse, plain text as a single page. Images and
+ * Word documents yield no text and are classified by file name only.
+ */
+
+import pdf from 'pdf-parse';
+import { CONFIG } from './config.js';
+
+/**
+ * Text of one PDF page; items on a new baseline start a new line
+ */
+async function renderPage(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: true });
+  let lastY = null;
+  let text = '';
+
+  for (const item of content.items) {
+    const y = item.transform[5];
+    text += lastY === null || y === lastY ? item.str : `\n${item.str}`;
+    lastY = y;
+  }
+  return text;
+}
+
+function isPdf(mimeType, fileName) {
+  return mimeType.toLowerCase() === 'application/pdf' || /\.pdf$/i.test(fileName);
+}
+
+/**
+ * Whether text can be extracted from an attachment of this type
+ */
+export function hasExtractableText({ mimeType = '', fileName = '' } = {}) {
+  return isPdf(mimeType, fileName) || mimeType.toLowerCase().startsWith('text/');
+}
+
+/**
+ * Extract text from an attachment
+ *
+ * Returns { method, pages } where `pages` holds the text per page (page 1
+ * first) and `method` is 'pdf', 'text' or 'none'. At most
+ * DOCUMENT_MAX_PAGES pages of a PDF are read.
+ */
+export async function extractAttachmentText(buffer, { mimeType = '', fileName = '' } = {}) {
+  if (isPdf(mimeType, fileName)) {
+    const pages = [];
+    // pdf.js reads the underlying ArrayBuffer and ignores a Buffer's byteOffset,
+    // so small (pooled) Buffers must be copied first
+    await pdf(new Uint8Array(buffer), {
+      max: CONFIG.documentMaxPages,
+      pagerender: async pageData => {
+        const text = await renderPage(pageData);
+        pages.push(text);
+        return text;
+      }
+    });
+    return { method: 'pdf', pages };
+  }
+
+  if (mimeType.toLowerCase().startsWith('text/')) {
+    return { method: 'text', pages: [buffer.toString('utf8')] };
+  }
+
+  return { method: 'none', pages: [] };
+}
@@ -0,0 +1,73 @@
+/**
+ * Server Configuration
+ *
+ * Loads .env and exposes the settings shared by the server and its modules.
+ * Import this module first so environment variables are available to
+ * every other module at load time.
+ */
+
+import dotenv from 'dotenv';
+import { freescoutOptionsFromEnv } from './freescout-client.js';
+
+dotenv.config();
+
+export const CONFIG = {
+  port: process.env.WEBHOOK_PORT || 3000,
+  openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  azureOpenaiEndpoint: process.env.AZURE_OPENAI_ENDPOINT,
+  azureOpenaiApiKey: process.env.AZURE_OPENAI_API_KEY,
+  azureOpenaiApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+  llmCompatibleBaseUrl: process.env.LLM_COMPATIBLE_BASE_URL,
+  llmCompatibleApiKey: process.env.LLM_COMPATIBLE_API_KEY,
+  llmProvider: process.env.LLM_PROVIDER,
+  llmTasksFile: process.env.LLM_TASKS_FILE || 'config/llm-tasks.json',
+  llmPricesFile: process.env.LLM_PRICES_FILE || 'config/llm-prices.json',
+  llmConversationBudget: parseFloat(process.env.LLM_CONVERSATION_BUDGET || '0'),
+  llmDailyBudget: parseFloat(process.env.LLM_DAILY_BUDGET || '0'),
+  promptsDir: process.env.PROMPTS_DIR || 'prompts',
+  promptsHotReload: process.env.PROMPTS_HOT_RELOAD !== 'false',
+  historyMaxTokens: parseInt(process.env.HISTORY_MAX_TOKENS || '3000', 10),
+  piiRedaction: process.env.PII_REDACTION !== 'false',
+  piiAuditLog: process.env.PII_AUDIT_LOG ?? 'logs/pii-audit.log',
+  guardrailMaxAttempts: parseInt(process.env.GUARDRAIL_MAX_ATTEMPTS || '2', 10),
+  guardrailReviewUserId: parseInt(process.env.GUARDRAIL_REVIEW_USER_ID || process.env.INTENT_REVIEW_USER_ID || '22', 10),
+  languageMinConfidence: parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE || '0.6'),
+  languageFieldId: parseInt(process.env.LANGUAGE_FIELD_ID || '0', 10) || null,
+  templateFallbackLanguage: process.env.TEMPLATE_FALLBACK_LANGUAGE || 'en',
+  freescoutUrl: process.env.FREESCOUT_BASE_URL || 'https://freescout.test',
+  freescoutApiKey: process.env.FREESCOUT_API_TOKEN,
+  onyxAiUrl: process.env.ONYX_AI_URL || 'http://localhost:8080',
+  onyxAiApiKey: process.env.ONYX_AI_API_KEY,
+  freescoutWebhookSecret: process.env.FREESCOUT_WEBHOOK_SECRET,
+  paymentWebhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+  webhookAllowUnsigned: process.env.WEBHOOK_ALLOW_UNSIGNED === 'true',
+  webhookToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+  webhookAuditLog: process.env.WEBHOOK_AUDIT_LOG || 'logs/webhook-audit.log',
+  dedupTtlHours: parseInt(process.env.DEDUP_TTL_HOURS || '72', 10),
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+  jobRetryBaseMs: parseInt(process.env.JOB_RETRY_BASE_MS || '5000', 10),
+  failedEventRetentionDays: parseInt(process.env.FAILED_EVENT_RETENTION_DAYS || '30', 10),
+  dataDir: process.env.DATA_DIR || 'data',
+  freescout: freescoutOptionsFromEnv(),
+  openaiTimeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS || '30000', 10),
+  openaiMaxRetries: parseInt(process.env.OPENAI_MAX_RETRIES || '2', 10),
+  openaiRetryBaseMs: parseInt(process.env.OPENAI_RETRY_BASE_MS || '1000', 10),
+  openaiBreakerThreshold: parseInt(process.env.OPENAI_BREAKER_THRESHOLD || '5', 10),
+  openaiBreakerCooldownMs: parseInt(process.env.OPENAI_BREAKER_COOLDOWN_MS || '60000', 10),
+  intentMinConfidence: parseFloat(process.env.INTENT_MIN_CONFIDENCE || '0.6'),
+  intentReviewUserId: parseInt(process.env.INTENT_REVIEW_USER_ID || '22', 10),
+  intentRulesEnabled: process.env.INTENT_RULES_ENABLED !== 'false',
+  intentRulesFile: process.env.INTENT_RULES_FILE || 'config/intent-rules.json',
+  intentRuleMinConfidence: parseFloat(process.env.INTENT_RULE_MIN_CONFIDENCE || '0.9'),
+  intentTagsFile: process.env.INTENT_TAGS_FILE || 'config/intent-tags.json',
+  intentHistoryThreads: parseInt(process.env.INTENT_HISTORY_THREADS || '6', 10),
+  documentChecklistFile: process.env.DOCUMENT_CHECKLIST_FILE || 'config/document-checklist.json',
+  documentMaxBytes: parseInt(process.env.DOCUMENT_MAX_BYTES || '15728640', 10),
+  documentMaxPages: parseInt(process.env.DOCUMENT_MAX_PAGES || '30', 10),
+  documentFieldsFile: process.env.DOCUMENT_FIELDS_FILE || 'config/document-fields.json',
+  documentFieldMinConfidence: parseFloat(process.env.DOCUMENT_FIELD_MIN_CONFIDENCE || '0.8'),
+  adminApiToken: process.env.ADMIN_API_TOKEN,
+  readinessTimeoutMs: parseInt(process.env.READINESS_TIMEOUT_MS || '3000', 10),
+  readinessSlowMs: parseInt(process.env.READINESS_SLOW_MS || '1500', 10),
+};
@@ -0,0 +1,141 @@
+/**
+ * Custom Fields & Service Context
+ *
+ * FreeScout custom field mapping for mailbox 3 and helpers that turn
+ * conversation custom fields into AI prompt context.
+ */
+
+/**
+ * Custom Field Mapping for Mailbox 3 (Box 3 service)
+ * Maps FreeScout custom field IDs to their names for easy access
+ *
+ * Retrieved from FreeScout API on 2025-11-26:
+ * ID 9  → Form ID
+ * ID 10 → Active Step
+ * ID 11 → WOZ Value
+ * ID 12 → Mortgage Value
+ * ID 13 → Savings Value
+ * ID 14 → Investment Value
+ * ID 15 → Assets Value
+ * ID 16 → Debts Value
+ * ID 17 → Estimate 1
+ * ID 18 → Estimate 2
+ * ID 19 → Final Estimate
+ * ID 22 → Years Selected (multi-select)
+ * ID 23 → Has Objected (boolean)
+ * ID 24 → Final Imposed Objected (boolean)
+ * ID 25 → Has Second Property (boolean)
+ * ID 26 → Second Property Abroad (boolean)
+ * ID 27 → Restore Link
+ */
+export const CUSTOM_FIELD_MAP = {
+  // Internal tracking
+  FORM_ID: 9,
+  ACTIVE_STEP: 10,
+
+  // Financial data
+  WOZ_VALUE: 11,
+  MORTGAGE_VALUE: 12,
+  SAVINGS_VALUE: 13,
+  INVESTMENT_VALUE: 14,
+  ASSETS_VALUE: 15,
+  DEBTS_VALUE: 16,
+
+  // Estimates
+  ESTIMATE_1: 17,
+  ESTIMATE_2: 18,
+  FINAL_ESTIMATE: 19,
+
+  // Additional form fields
+  YEARS_SELECTED: 22,              // Multi-select: years
+  HAS_OBJECTED: 23,                // Boolean: has customer objected before
+  FINAL_IMPOSED_OBJECTED: 24,      // Boolean: final assessment imposed and objected
+  HAS_SECOND_PROPERTY: 25,         // Boolean: has second property
+  SECOND_PROPERTY_ABROAD: 26,      // Boolean: second property is abroad
+  RESTORE_LINK: 27,                // Link to restore/resume form
+
+  // Future field - add this to FreeScout if you want service-specific prompts
+  SERVICE_NAME: null // TODO: Create this custom field in FreeScout (e.g., "Box 3 Bezwaar", "Tax Analysis", "Business Tax")
+};
+
+/**
+ * Service-specific context for AI prompts
+ * Maps service names to additional context that should be included in prompts
+ */
+export const SERVICE_CONTEXT_MAP = {
+  'Box 3 Bezwaar': {
+    focus: 'Box 3 vermogensbelasting bezwaar',
+    keywords: ['Box 3', 'vermogensrendementsheffing', 'bezwaar', 'aangifte'],
+    additionalContext: 'Focus on Box 3 wealth tax objection process and timeline'
+  },
+  'Tax Analysis': {
+    focus: 'General tax analysis and advice',
+    keywords: ['belasting', 'analyse', 'advies'],
+    additionalContext: 'Provide general tax advice and analysis'
+  },
+  'Business Tax': {
+    focus: 'Business tax matters (BTW, VPB, etc.)',
+    keywords: ['onderneming', 'BTW', 'vennootschapsbelasting'],
+    additionalContext: 'Focus on business tax matters including VAT and corporate income tax'
+  },
+  'Default': {
+    focus: 'General tax advisory service',
+    keywords: ['belasting', 'advies'],
+    additionalContext: 'Provide helpful tax advisory services'
+  }
+};
+
+/**
+ * Helper function to get custom field value from conversation
+ */
+export function getCustomFieldValue(conversation, fieldId) {
+  if (!conversation.customFields || !fieldId) return null;
+
+  const field = conversation.customFields.find(f => f.id === fieldId);
+  return field ? field.value : null;
+}
+
+/**
+ * Helper function to get service context for AI prompts
+ */
+export function getServiceContext(conversation) {
+  const serviceName = getCustomFieldValue(conversation, CUSTOM_FIELD_MAP.SERVICE_NAME);
+
+  // If SERVICE_NAME field exists and has a value, use it
+  if (serviceName && SERVICE_CONTEXT_MAP[serviceName]) {
+    return SERVICE_CONTEXT_MAP[serviceName];
+  }
+
+  // Otherwise, default to Box 3 Bezwaar (since mailbox 3 is for Box 3)
+  return SERVICE_CONTEXT_MAP['Box 3 Bezwaar'];
+}
+
+/**
+ * Helper function to format custom fields for AI prompts
+ * Returns a formatted string with all non-empty custom field values
+ * Excludes internal tracking fields (Form ID, Active Step)
+ */
+export function formatCustomFieldsForPrompt(conversation) {
+  if (!conversation.customFields || conversation.customFields.length === 0) {
+    return '';
+  }
+
+  // Fields to exclude from AI prompts (internal tracking only)
+  const excludedFieldIds = [
+    CUSTOM_FIELD_MAP.FORM_ID,      // Form ID - internal tracking
+    CUSTOM_FIELD_MAP.ACTIVE_STEP,  // Active Step - internal workflow state
+    CUSTOM_FIELD_MAP.RESTORE_LINK
+  ];
+
+  const nonEmptyFields = conversation.customFields
+    .filter(field => field.value && field.value.trim() !== '')
+    .filter(field => !excludedFieldIds.includes(field.id))
+    .map(field => `- ${field.name}: ${field.value}`)
+    .join('\n');
+
+  if (nonEmptyFields.length === 0) {
+    return '';
+  }
+
+  return `\n\n=== CUSTOMER DATA (Custom Fields) ===\n${nonEmptyFields}\n=== END OF CUSTOMER DATA ===`;
+}
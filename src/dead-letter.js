@@ -0,0 +1,133 @@
+/**
+ * Dead-Letter Store
+ *
+ * Keeps every event whose job failed permanently, with the full payload,
+ * event name, last error, attempt count and the job steps that finished, so
+ * it can be inspected and replayed through the normal handler
+ * (GET /admin/failed-events, POST /admin/failed-events/:id/replay) instead
+ * of being lost. A replay starts from those steps, so e.g. an email that
+ * went out before the failure is not sent again.
+ *
+ * Entry lifecycle: failed → replayed → resolved
+ * (a replay that fails again puts the same entry back to failed)
+ *
+ * Entries hold customer data, so they are removed FAILED_EVENT_RETENTION_DAYS
+ * after their last update, whatever their status.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+
+/**
+ * Strip the payload from an entry for list responses
+ */
+export function describeFailedEvent(entry) {
+  if (!entry) return null;
+  const { payload, ...summary } = entry;
+  return summary;
+}
+
+/**
+ * Open the dead-letter store
+ */
+export function createDeadLetterStore({ retentionDays = CONFIG.failedEventRetentionDays } = {}) {
+  const store = createJsonStore('failed-events');
+
+  function pruneExpired() {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const removed = store.deleteWhere(entry => new Date(entry.updatedAt).getTime() < cutoff);
+    if (removed > 0) logger.info('Expired failed events removed', { removed, retention_days: retentionDays });
+  }
+
+  pruneExpired();
+
+  return {
+    /**
+     * Record a job that failed permanently. A failed replay updates the
+     * entry it was replayed from instead of adding a new one.
+     */
+    recordFailure(job, error) {
+      pruneExpired();
+
+      const now = new Date().toISOString();
+      const existing = job.deadLetterId ? store.get(job.deadLetterId) : null;
+
+      const entry = existing
+        ? {
+          ...existing,
+          status: 'failed',
+          attempts: existing.attempts + job.attempts,
+          lastError: error.message,
+          lastJobId: job.id,
+          updatedAt: now,
+          steps: job.steps || {}
+        }
+        : {
+          id: crypto.randomUUID(),
+          event: job.event,
+          conversation_id: job.conversation_id,
+          correlationId: job.correlationId || null,
+          status: 'failed',
+          attempts: job.attempts,
+          replays: 0,
+          lastError: error.message,
+          lastJobId: job.id,
+          failedAt: now,
+          updatedAt: now,
+          steps: job.steps || {},
+          payload: job.payload
+        };
+
+      store.set(entry.id, entry);
+      logger.warn('Event moved to dead-letter store', { failedEventId: entry.id, attempts: entry.attempts });
+      return entry;
+    },
+
+    /**
+     * Mark an entry as replayed by a new job
+     */
+    markReplayed(id, jobId) {
+      const entry = store.get(id);
+      if (!entry) return null;
+
+      const updated = {
+        ...entry,
+        status: 'replayed',
+        replays: entry.replays + 1,
+        lastJobId: jobId,
+        updatedAt: new Date().toISOString()
+      };
+      store.set(id, updated);
+      return updated;
+    },
+
+    /**
+     * Mark an entry as resolved once its replay job completed
+     */
+    markResolved(id) {
+      const entry = store.get(id);
+      if (!entry) return null;
+
+      const updated = { ...entry, status: 'resolved', updatedAt: new Date().toISOString() };
+      store.set(id, updated);
+      logger.info('Failed event resolved by replay', { failedEventId: id });
+      return updated;
+    },
+
+    get(id) {
+      return store.get(id);
+    },
+
+    /**
+     * Entries, newest first, optionally filtered by status
+     */
+    list(status = null) {
+      pruneExpired();
+      return store.values()
+        .filter(entry => !status || entry.status === status)
+        .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+    }
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Document Checklist
+ *
+ * Classifies customer attachments into the five document categories of the
+ * upload request email (aangifte, bank interest, investments, WOZ value,
+ * debts) and keeps a checklist per conversation and tax year. Categories,
+ * keywords and accepted MIME types are read from DOCUMENT_CHECKLIST_FILE
+ * (default config/document-checklist.json) and validated at startup.
+ *
+ * - File name keywords count 3 points, each distinct keyword in the
+ *   extracted text 1 point; the best category with at least min_score wins
+ * - The tax year comes from the file name, else from the text ("aangifte
+ *   inkomstenbelasting 2021"); undated documents count for the only year
+ *   when the conversation has just one
+ * - The checklist covers the years selected on the intake form, or the
+ *   years of the received documents when none were selected
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { CUSTOM_FIELD_MAP, getCustomFieldValue } from './custom-fields.js';
+import { freescoutFileUrl } from './freescout.js';
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+
+export const DOCS_COMPLETE_TAG = 'DOCS_COMPLETE';
+
+const FILE_NAME_POINTS = 3;
+const TEXT_POINTS = 1;
+const UNKNOWN_YEAR = 'unknown';
+
+// Years named right after these words are the document's tax year
+const YEAR_CONTEXT = /(?:belastingjaar|aangifte inkomstenbelasting|inkomstenbelasting|jaaroverzicht|jaaropgave|tax year)\s*(20\d{2})(?!\d)/giu;
+const YEAR = /(?<!\d)(20\d{2})(?!\d)/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// File names use dashes, underscores and dots as word separators
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[_\-.]+/g, ' ');
+}
+
+function containsPhrase(text, phrase) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * Read and validate the checklist file; throws on an invalid configuration
+ * so it stops the server at startup
+ */
+export function loadDocumentChecklist(filePath = CONFIG.documentChecklistFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+  const ids = new Set();
+
+  const categories = (config.categories || []).map((category, index) => {
+    const label = category.id || `categories[${index}]`;
+
+    if (!category.id) errors.push(`${label}: "id" is required`);
+    if (ids.has(category.id)) errors.push(`${label}: duplicate id`);
+    ids.add(category.id);
+
+    if (!category.label) errors.push(`${label}: "label" is required`);
+    if (!category.file_name?.length && !category.text?.length) {
+      errors.push(`${label}: needs file_name or text keywords`);
+    }
+
+    return {
+      id: category.id,
+      label: category.label,
+      fileNameKeywords: (category.file_name || []).map(normalize),
+      textKeywords: (category.text || []).map(keyword => keyword.toLowerCase())
+    };
+  });
+
+  if (categories.length === 0) errors.push('no categories defined');
+  if (!(config.min_score > 0)) errors.push('min_score must be a positive number');
+  if (!Array.isArray(config.mime_types) || config.mime_types.length === 0) {
+    errors.push('mime_types must list the accepted MIME types');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid document checklist in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    categories,
+    minScore: config.min_score,
+    firstTaxYear: config.first_tax_year || 2017,
+    mimeTypes: config.mime_types.map(type => type.toLowerCase())
+  };
+}
+
+let defaultChecklist = null;
+
+/**
+ * Checklist configuration from DOCUMENT_CHECKLIST_FILE, loaded once
+ */
+export function getDocumentChecklist() {
+  if (!defaultChecklist) {
+    defaultChecklist = loadDocumentChecklist();
+    logger.info('Document checklist loaded', { file: CONFIG.documentChecklistFile, categories: defaultChecklist.categories.length });
+  }
+  return defaultChecklist;
+}
+
+/**
+ * Attachments of the customer's threads, oldest first
+ */
+export function getConversationAttachments(conversation) {
+  return (conversation._embedded?.threads || [])
+    .filter(t => t.type === 'customer')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .flatMap(thread => (thread._embedded?.attachments || []).map(attachment => ({
+      id: attachment.id,
+      fileName: attachment.fileName || attachment.file_name || '',
+      mimeType: (attachment.mimeType || attachment.mime_type || '').toLowerCase(),
+      size: attachment.size ?? null,
+      fileUrl: attachment.fileUrl || attachment.file_url || null,
+      threadId: thread.id
+    })));
+}
+
+/**
+ * Reason an attachment is not classified, or null when it can be
+ */
+export function unsupportedReason(checklist, attachment) {
+  if (!checklist.mimeTypes.includes(attachment.mimeType)) return `unsupported type ${attachment.mimeType || 'unknown'}`;
+  if (attachment.size > CONFIG.documentMaxBytes) return `larger than ${CONFIG.documentMaxBytes} bytes`;
+  if (!attachment.fileUrl) return 'no file URL';
+  if (!freescoutFileUrl(attachment.fileUrl)) return 'file URL not on the FreeScout server';
+  return null;
+}
+
+/**
+ * Best matching category for an attachment
+ *
+ * Returns { category, score, matched } with category null when no category
+ * reaches min_score.
+ */
+export function classifyAttachment(checklist, { fileName, text = '' }) {
+  const name = normalize(fileName);
+  const content = text.toLowerCase();
+
+  const scored = checklist.categories.map(category => {
+    const fileNameHits = category.fileNameKeywords.filter(keyword => containsPhrase(name, keyword));
+    const textHits = category.textKeywords.filter(keyword => containsPhrase(content, keyword));
+    return {
+      category: category.id,
+      score: fileNameHits.length * FILE_NAME_POINTS + textHits.length * TEXT_POINTS,
+      matched: [...fileNameHits.map(keyword => `file name "${keyword}"`), ...textHits.map(keyword => `"${keyword}"`)]
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  const best = scored[0];
+  return best.score >= checklist.minScore ? best : { category: null, score: best.score, matched: [] };
+}
+
+function plausibleYears(checklist, text, pattern) {
+  const currentYear = new Date().getFullYear();
+  return [...String(text || '').matchAll(pattern)]
+    .map(match => Number(match[1]))
+    .filter(year => year >= checklist.firstTaxYear && year <= currentYear);
+}
+
+function mostFrequent(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0] ?? null;
+}
+
+/**
+ * Tax year of a document: a single year in the file name, else the year
+ * named most often after "belastingjaar", "jaaroverzicht", ... in the text,
+ * else the year named most often at all; null when none is found
+ */
+export function detectTaxYear(checklist, fileName, text = '') {
+  const fileNameYears = [...new Set(plausibleYears(checklist, fileName, YEAR))];
+  if (fileNameYears.length === 1) return fileNameYears[0];
+
+  return mostFrequent(plausibleYears(checklist, text, YEAR_CONTEXT)) ?? mostFrequent(plausibleYears(checklist, text, YEAR));
+}
+
+/**
+ * Tax years selected on the intake form (custom field "Years Selected")
+ */
+export function selectedTaxYears(checklist, conversation) {
+  const value = getCustomFieldValue(conversation, CUSTOM_FIELD_MAP.YEARS_SELECTED);
+  return [...new Set(plausibleYears(checklist, Array.isArray(value) ? value.join(',') : value, YEAR))].sort();
+}
+
+/**
+ * Checklist per tax year from the classified attachments
+ *
+ * Returns { years: { [year]: { received, missing, complete } }, unassigned,
+ * unclassified, complete }. `received` maps category → file names;
+ * `unassigned` lists documents without a year or for a year outside the
+ * checklist. Without any year, documents are listed under 'unknown'; that
+ * bucket is never complete, since the documents may be for different years.
+ */
+export function buildChecklist(checklist, attachments, taxYears = []) {
+  const classified = attachments.filter(a => a.category);
+  const years = taxYears.length > 0
+    ? [...taxYears]
+    : [...new Set(classified.map(a => a.year).filter(Boolean))].sort();
+  if (years.length === 0 && classified.length > 0) years.push(UNKNOWN_YEAR);
+
+  const result = { years: {}, unassigned: [], unclassified: [], complete: false };
+  for (const year of years) {
+    result.years[year] = { received: {}, missing: [], complete: false };
+  }
+
+  for (const attachment of classified) {
+    const year = attachment.year || (years.length === 1 ? years[0] : null);
+    if (!result.years[year]) {
+      result.unassigned.push({ file_name: attachment.file_name, category: attachment.category, year: attachment.year });
+      continue;
+    }
+    const received = result.years[year].received;
+    received[attachment.category] = [...(received[attachment.category] || []), attachment.file_name];
+  }
+
+  for (const entry of Object.values(result.years)) {
+    entry.missing = checklist.categories.map(c => c.id).filter(id => !entry.received[id]);
+    entry.complete = entry.missing.length === 0;
+  }
+
+  result.unclassified = attachments.filter(a => !a.category).map(a => a.file_name);
+  result.complete = years.length > 0 &&
+    !years.includes(UNKNOWN_YEAR) &&
+    Object.values(result.years).every(entry => entry.complete);
+  return result;
+}
+
+/**
+ * Internal note for the agent: received and missing documents per tax year
+ */
+export function formatChecklistNote(checklist, result) {
+  const labels = Object.fromEntries(checklist.categories.map(c => [c.id, c.label]));
+  const lines = ['[BOX3_DOCS] Documentencheck'];
+
+  for (const [year, entry] of Object.entries(result.years)) {
+    const received = checklist.categories.length - entry.missing.length;
+    lines.push('');
+    lines.push(`<strong>Belastingjaar ${year === UNKNOWN_YEAR ? 'onbekend' : year}</strong>: ${received} van ${checklist.categories.length} ontvangen`);
+    for (const category of checklist.categories) {
+      const files = entry.received[category.id];
+      lines.push(files ? `✓ ${category.label}: ${files.join(', ')}` : `✗ ${category.label} - ontbreekt`);
+    }
+  }
+
+  if (result.unassigned.length > 0) {
+    const files = result.unassigned.map(d => `${d.file_name} (${labels[d.category]}, ${d.year || 'jaar niet herkend'})`);
+    lines.push('');
+    lines.push(`Niet bij een gevraagd belastingjaar: ${files.join(', ')}`);
+  }
+  if (result.unclassified.length > 0) {
+    lines.push('');
+    lines.push(`Niet herkend als gevraagd document: ${result.unclassified.join(', ')}`);
+  }
+
+  lines.push('');
+  if (result.complete) {
+    lines.push(`[BOX3_STATE] Alle documenten compleet → ${DOCS_COMPLETE_TAG}`);
+  } else {
+    const missing = Object.entries(result.years)
+      .filter(([, entry]) => entry.missing.length > 0)
+      .map(([year, entry]) => `${year === UNKNOWN_YEAR ? 'jaar onbekend' : year}: ${entry.missing.map(id => labels[id]).join(', ')}`);
+    if (missing.length > 0) {
+      lines.push(`Nog ontbrekend - ${missing.join('; ')}`);
+    } else if (result.years[UNKNOWN_YEAR]) {
+      lines.push(`Alle documenten ontvangen, maar het belastingjaar is niet herkend - controleer het jaar en tag ${DOCS_COMPLETE_TAG} handmatig`);
+    } else {
+      lines.push('Nog geen gevraagde documenten herkend');
+    }
+  }
+
+  return lines.join('<br>\n');
+}
+
+let checklistStore = null;
+
+/**
+ * Per-conversation checklist records in DATA_DIR/document-checklists.json
+ */
+export function getChecklistStore() {
+  checklistStore ??= createJsonStore('document-checklists');
+  return checklistStore;
+}
@@ -0,0 +1,282 @@
+/**
+ * Document Field Extraction
+ *
+ * Finds the amounts agents used to type by hand into custom fields 11-16
+ * (WOZ, mortgage, savings, investments, assets, debts) in the text of the
+ * customer's PDFs. Label phrases and their confidence are read from
+ * DOCUMENT_FIELDS_FILE (default config/document-fields.json) and validated
+ * at startup.
+ *
+ * Every candidate keeps its source (file, page, excerpt) and a confidence.
+ * decideFieldUpdates() chooses per field whether to write the value or only
+ * propose it: low confidence, conflicting documents or a value an agent
+ * filled in are never written.
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { CUSTOM_FIELD_MAP, getCustomFieldValue } from './custom-fields.js';
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+
+const NO_CURRENCY_PENALTY = 0.1;
+const NEXT_LINE_PENALTY = 0.1;
+const CATEGORY_PENALTY = 0.2;
+const CONFLICT_PENALTY = 0.2;
+
+// "€ 350.000", "EUR 12.345,67", "350000"; dates and bare years are skipped
+const AMOUNT = /(€|eur\b)?\s*(?<![\d\-/.,])(\d{1,3}(?:\.\d{3})+(?:,\d{1,2})?|\d+(?:,\d{1,2})?)(?![\d\-/])/giu;
+
+// A month name after a number makes it a day: "1 januari 2022", "31 dec. 2021"
+const MONTH_AFTER = /^\s*(?:jan(?:uari|uary)?|feb(?:ruari|ruary)?|maart|march|mrt|mar|apr(?:il)?|mei|may|jun[ie]?|jul[iy]?|aug(?:ustus|ust)?|sep(?:t(?:ember)?)?|o[ck]t(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b/i;
+
+/**
+ * Read and validate the field file; throws on an invalid configuration so it
+ * stops the server at startup
+ */
+export function loadDocumentFields(filePath = CONFIG.documentFieldsFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+
+  const fields = (config.fields || []).map((field, index) => {
+    const label = field.field || `fields[${index}]`;
+
+    if (!CUSTOM_FIELD_MAP[field.field]) errors.push(`${label}: unknown custom field`);
+    if (!field.labels?.length) errors.push(`${label}: needs label phrases`);
+    (field.labels || [])
+      .filter(entry => !entry.phrase || !(entry.confidence >= 0 && entry.confidence <= 1))
+      .forEach(entry => errors.push(`${label}: label "${entry.phrase}" needs a phrase and a confidence between 0 and 1`));
+
+    return {
+      field: field.field,
+      fieldId: CUSTOM_FIELD_MAP[field.field],
+      label: field.label || field.field,
+      categories: field.categories || [],
+      labels: (field.labels || []).map(entry => ({ phrase: entry.phrase?.toLowerCase(), confidence: entry.confidence }))
+    };
+  });
+
+  if (fields.length === 0) errors.push('no fields defined');
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid document fields in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return { fields };
+}
+
+let defaultFields = null;
+
+/**
+ * Field configuration from DOCUMENT_FIELDS_FILE, loaded once
+ */
+export function getDocumentFields() {
+  if (!defaultFields) {
+    defaultFields = loadDocumentFields();
+    logger.info('Document fields loaded', { file: CONFIG.documentFieldsFile, fields: defaultFields.fields.length });
+  }
+  return defaultFields;
+}
+
+/**
+ * Parse a Dutch amount ("12.345,67") into a number
+ */
+export function parseAmount(text) {
+  const value = Number(String(text).replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * First amount in a piece of text: one with a currency sign wins, then one
+ * written with thousands separators; bare years (2021) and days of a date
+ * (1 januari 2022) are skipped
+ */
+function findAmount(text) {
+  const amounts = [...text.matchAll(AMOUNT)]
+    .map(match => ({
+      currency: !!match[1],
+      grouped: match[2].includes('.'),
+      raw: match[2],
+      value: parseAmount(match[2]),
+      day: MONTH_AFTER.test(text.slice(match.index + match[0].length))
+    }))
+    .filter(amount => amount.value !== null && !amount.day && (amount.currency || !/^(19|20)\d{2}$/.test(amount.raw)));
+
+  return amounts.find(amount => amount.currency) || amounts.find(amount => amount.grouped) || amounts[0] || null;
+}
+
+/**
+ * Candidate values for every field in a document's pages
+ *
+ * Returns [{ field, value, page, confidence, phrase, excerpt }] with page
+ * numbers starting at 1. `category` is the document's checklist category.
+ */
+export function extractFieldCandidates(fieldConfig, pages, category = null) {
+  const candidates = [];
+
+  pages.forEach((pageText, pageIndex) => {
+    const lines = pageText.split('\n');
+
+    lines.forEach((line, lineIndex) => {
+      const lowerLine = line.toLowerCase();
+
+      for (const field of fieldConfig.fields) {
+        for (const label of field.labels) {
+          const position = lowerLine.indexOf(label.phrase);
+          if (position === -1) continue;
+
+          let amount = findAmount(line.slice(position + label.phrase.length));
+          let confidence = label.confidence;
+          let excerpt = line.trim();
+
+          // Tables often put the amount on the line below the label
+          if (!amount && lineIndex + 1 < lines.length) {
+            amount = findAmount(lines[lineIndex + 1]);
+            confidence -= NEXT_LINE_PENALTY;
+            excerpt = `${excerpt} ${lines[lineIndex + 1].trim()}`;
+          }
+          if (!amount) continue;
+
+          if (!amount.currency) confidence -= NO_CURRENCY_PENALTY;
+          if (category && field.categories.length > 0 && !field.categories.includes(category)) {
+            confidence -= CATEGORY_PENALTY;
+          }
+
+          candidates.push({
+            field: field.field,
+            value: amount.value,
+            page: pageIndex + 1,
+            confidence: Math.round(Math.max(0, confidence) * 100) / 100,
+            phrase: label.phrase,
+            excerpt: excerpt.substring(0, 200)
+          });
+        }
+      }
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Best candidate per field across all documents
+ *
+ * Returns { [field]: candidate } where a candidate that another document
+ * contradicts (a different value with nearly the same confidence) gets a
+ * lower confidence and `conflicts` listing the other values.
+ */
+export function bestCandidates(candidates) {
+  const byField = {};
+  for (const candidate of candidates) {
+    (byField[candidate.field] ||= []).push(candidate);
+  }
+
+  const best = {};
+  for (const [field, list] of Object.entries(byField)) {
+    const sorted = [...list].sort((a, b) => b.confidence - a.confidence);
+    const top = sorted[0];
+    const conflicts = [...new Set(sorted
+      .filter(c => c.value !== top.value && top.confidence - c.confidence < CONFLICT_PENALTY)
+      .map(c => c.value))];
+
+    best[field] = conflicts.length > 0
+      ? { ...top, confidence: Math.round(Math.max(0, top.confidence - CONFLICT_PENALTY) * 100) / 100, conflicts }
+      : { ...top, conflicts: [] };
+  }
+  return best;
+}
+
+/**
+ * Format an amount for a custom field ("350000", "1234.56")
+ */
+export function formatFieldValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Amount as agents read it in notes ("€ 102.500,50")
+ */
+function formatAmount(value) {
+  const digits = Number.isInteger(value) ? 0 : 2;
+  return `€ ${value.toLocaleString('nl-NL', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+function sameAmount(current, value) {
+  return parseAmount(String(current).replace(/[€\s]|eur/gi, '')) === value || String(current).trim() === formatFieldValue(value);
+}
+
+/**
+ * Decide per field what to do with the best candidate
+ *
+ * Returns [{ field, fieldId, label, candidate, current, action, reason }]
+ * where action is 'write', 'propose' or 'unchanged'. A field that already
+ * has a value is only written when that value came from an earlier
+ * extraction (`written`); a value an agent entered is only proposed.
+ */
+export function decideFieldUpdates(fieldConfig, best, conversation, written = {}) {
+  const decisions = [];
+
+  for (const field of fieldConfig.fields) {
+    const candidate = best[field.field];
+    if (!candidate) continue;
+
+    const current = getCustomFieldValue(conversation, field.fieldId);
+    const hasValue = current !== null && current !== undefined && String(current).trim() !== '';
+    const decision = { field: field.field, fieldId: field.fieldId, label: field.label, candidate, current: hasValue ? current : null };
+
+    if (hasValue && sameAmount(current, candidate.value)) {
+      decisions.push({ ...decision, action: 'unchanged', reason: 'veld heeft deze waarde al' });
+    } else if (candidate.conflicts.length > 0) {
+      decisions.push({ ...decision, action: 'propose', reason: `documenten verschillen (${candidate.conflicts.map(formatAmount).join(', ')})` });
+    } else if (candidate.confidence < CONFIG.documentFieldMinConfidence) {
+      decisions.push({ ...decision, action: 'propose', reason: `zekerheid ${candidate.confidence.toFixed(2)} onder ${CONFIG.documentFieldMinConfidence}` });
+    } else if (hasValue && String(current).trim() !== written[field.field]?.value) {
+      decisions.push({ ...decision, action: 'propose', reason: 'veld is door een medewerker ingevuld' });
+    } else {
+      decisions.push({ ...decision, action: 'write', reason: hasValue ? 'vervangt een eerder uitgelezen waarde' : 'veld was leeg' });
+    }
+  }
+
+  return decisions;
+}
+
+function describeSource(candidate) {
+  return `${candidate.file_name}, p. ${candidate.page}, zekerheid ${candidate.confidence.toFixed(2)}`;
+}
+
+/**
+ * Internal note for the agent: written values and proposals with their source
+ */
+export function formatExtractionNote(decisions) {
+  const written = decisions.filter(d => d.action === 'write');
+  const proposed = decisions.filter(d => d.action === 'propose');
+  const lines = ['[BOX3_DOCS] Bedragen uit documenten'];
+
+  if (written.length > 0) {
+    lines.push('');
+    lines.push('<strong>Ingevuld</strong>');
+    written.forEach(d => lines.push(`✓ ${d.label}: ${formatAmount(d.candidate.value)} (${describeSource(d.candidate)})`));
+  }
+
+  if (proposed.length > 0) {
+    lines.push('');
+    lines.push('<strong>Voorstel - controleer en vul zelf in</strong>');
+    proposed.forEach(d => {
+      const current = d.current !== null ? `, nu ingevuld: ${d.current}` : '';
+      lines.push(`? ${d.label}: ${formatAmount(d.candidate.value)} (${describeSource(d.candidate)}) - ${d.reason}${current}`);
+      lines.push(`&nbsp;&nbsp;"${d.candidate.excerpt}"`);
+    });
+  }
+
+  return lines.join('<br>\n');
+}
+
+let extractionStore = null;
+
+/**
+ * Per-conversation extraction records in DATA_DIR/document-extractions.json
+ */
+export function getExtractionStore() {
+  extractionStore ??= createJsonStore('document-extractions');
+  return extractionStore;
+}
@@ -0,0 +1,119 @@
+/**
+ * Webhook Event Deduplication
+ *
+ * FreeScout retries webhooks and some workflows run many times
+ * (max_executions: 999), so the same event can arrive more than once.
+ * A delivery is identified by event name + conversation ID + latest thread ID.
+ *
+ * The first delivery is processed normally and its response is stored.
+ * Duplicates get the stored response back without calling OpenAI or
+ * FreeScout again. State lives in a JSON file store so it survives restarts.
+ */
+
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+import { webhookEvents } from './metrics.js';
+
+/**
+ * Find the ID of the most recent thread in a FreeScout conversation payload
+ */
+export function getLatestThreadId(conversation) {
+  const threads = conversation?._embedded?.threads || [];
+  if (threads.length === 0) return null;
+
+  const latest = [...threads].sort((a, b) => {
+    const byDate = new Date(b.createdAt) - new Date(a.createdAt);
+    return byDate !== 0 && !Number.isNaN(byDate) ? byDate : (b.id || 0) - (a.id || 0);
+  })[0];
+
+  return latest.id ?? null;
+}
+
+/**
+ * Build the deduplication key for an event delivery
+ */
+export function buildDeduplicationKey(event, conversation) {
+  const conversationId = conversation?.id ?? 'none';
+  const threadId = getLatestThreadId(conversation) ?? 'none';
+  return `${event}:${conversationId}:${threadId}`;
+}
+
+/**
+ * Whether a delivery is deduplicated: it needs an event name and a conversation ID
+ */
+export function isDeduplicable(event, conversation) {
+  return !!event && !!conversation?.id;
+}
+
+/**
+ * Create an Express middleware that short-circuits duplicate deliveries
+ *
+ * Options:
+ * - ttlHours: how long a processed delivery is remembered
+ * - getEvent: resolves the event name from the request
+ */
+export function createEventDeduplicator({ ttlHours = 72, getEvent }) {
+  const store = createJsonStore('processed-events');
+  const ttlMs = ttlHours * 60 * 60 * 1000;
+
+  // Drop expired records, and in-flight records left behind by a crash
+  store.deleteWhere(record => record.expiresAt <= Date.now() || record.state === 'processing');
+
+  return (req, res, next) => {
+    const event = getEvent(req);
+    if (!isDeduplicable(event, req.body)) {
+      return next();
+    }
+
+    const key = buildDeduplicationKey(event, req.body);
+    const existing = store.get(key);
+
+    if (existing && existing.expiresAt > Date.now()) {
+      if (existing.state === 'completed') {
+        logger.info('Duplicate delivery - returning original result', { deduplication_key: key });
+        webhookEvents.inc({ event, outcome: 'duplicate' });
+        res.set('X-Idempotent-Replay', 'true');
+        return res.status(existing.statusCode).json(existing.response);
+      }
+
+      logger.info('Duplicate delivery - original still processing', { deduplication_key: key });
+      webhookEvents.inc({ event, outcome: 'duplicate' });
+      return res.status(409).json({
+        status: 'error',
+        message: 'Event is already being processed',
+        deduplication_key: key
+      });
+    }
+
+    const now = Date.now();
+    store.deleteWhere(record => record.expiresAt <= now);
+    store.set(key, {
+      key,
+      event,
+      conversation_id: req.body.id,
+      state: 'processing',
+      receivedAt: new Date(now).toISOString(),
+      expiresAt: now + ttlMs
+    });
+
+    // Capture the handler's response; only successful results are replayed,
+    // failed deliveries are forgotten so FreeScout's retry runs again
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        store.set(key, {
+          ...store.get(key),
+          state: 'completed',
+          statusCode: res.statusCode,
+          response: body,
+          completedAt: new Date().toISOString()
+        });
+      } else {
+        store.delete(key);
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Event Handler Registry
+ *
+ * Discovers workflow event modules in src/events/ at startup. Each module
+ * exports:
+ * - name: the FreeScout webhook event (e.g. 'workflow.convo.box3.welcome.generate')
+ * - description: one line shown by GET /events
+ * - schema: expected payload fields ({ field: { type, required } })
+ * - handler: async (conversation, steps) => result; `steps` keeps finished
+ *   steps across retries of the job (see createJobSteps in job-queue.js)
+ *
+ * Adding an event means adding a module; no changes to the server needed.
+ * Events without a handler are counted so they show up in GET /events.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const EVENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'events');
+
+/**
+ * Check a value against a schema type ('string', 'number', 'boolean', 'object', 'array')
+ */
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Validate a payload against an event schema, returns a list of error messages
+ */
+export function validatePayload(schema, payload) {
+  const errors = [];
+
+  if (typeof payload !== 'object' || payload === null) {
+    return ['payload must be a JSON object'];
+  }
+
+  for (const [field, rule] of Object.entries(schema || {})) {
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${field} is required`);
+      continue;
+    }
+
+    if (rule.type && !matchesType(value, rule.type)) {
+      errors.push(`${field} must be of type ${rule.type}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load every event module from the events directory and build the registry
+ */
+export async function loadEventRegistry(eventsDir = EVENTS_DIR) {
+  const handlers = new Map();
+  const unknownEvents = new Map();
+
+  const files = fs.readdirSync(eventsDir)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(eventsDir, file)).href);
+
+    if (!module.name || typeof module.handler !== 'function') {
+      throw new Error(`Event module ${file} must export a name and a handler function`);
+    }
+
+    if (handlers.has(module.name)) {
+      throw new Error(`Event ${module.name} is registered twice (${handlers.get(module.name).file} and ${file})`);
+    }
+
+    handlers.set(module.name, {
+      name: module.name,
+      description: module.description || '',
+      schema: module.schema || {},
+      handler: module.handler,
+      file
+    });
+  }
+
+  return {
+    get(event) {
+      return handlers.get(event);
+    },
+
+    names() {
+      return [...handlers.keys()];
+    },
+
+    list() {
+      return [...handlers.values()].map(({ name, description, schema, file }) => ({
+        name,
+        description,
+        schema,
+        module: `events/${file}`
+      }));
+    },
+
+    /**
+     * Count a delivery for an event that has no handler
+     */
+    recordUnknown(event) {
+      const entry = unknownEvents.get(event) || { event, count: 0, firstSeen: new Date().toISOString() };
+      entry.count += 1;
+      entry.lastSeen = new Date().toISOString();
+      unknownEvents.set(event, entry);
+      return entry;
+    },
+
+    unknown() {
+      return [...unknownEvents.values()].sort((a, b) => b.count - a.count);
+    }
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Event: workflow.convo.box3.documents.check
+ *
+ * Classifies new customer attachments into the document categories of the
+ * upload request (Email 2) by file name, MIME type and extracted text, keeps
+ * the checklist per tax year in DATA_DIR/document-checklists.json and posts a
+ * note with what is still missing. DOCS_COMPLETE is tagged only when every
+ * category is present for every known tax year; workflow 2 still tags
+ * DOCS_RECEIVED for any attachment. A retried job does not post the note
+ * again when only the tag failed.
+ */
+
+import { extractAttachmentText, hasExtractableText } from '../attachment-text.js';
+import {
+  buildChecklist,
+  classifyAttachment,
+  detectTaxYear,
+  DOCS_COMPLETE_TAG,
+  formatChecklistNote,
+  getChecklistStore,
+  getConversationAttachments,
+  getDocumentChecklist,
+  selectedTaxYears,
+  unsupportedReason
+} from '../document-checklist.js';
+import { addNote, downloadAttachment, updateConversationTags } from '../freescout.js';
+import { createJobSteps } from '../job-queue.js';
+import { logger } from '../logger.js';
+
+export const name = 'workflow.convo.box3.documents.check';
+
+export const description = 'Classifies customer attachments into the required document categories and tracks the checklist per tax year.';
+
+export const schema = {
+  id: { type: 'number', required: true },
+  customFields: { type: 'array' },
+  _embedded: { type: 'object', required: true }
+};
+
+/**
+ * Download, extract and classify one attachment into a checklist record
+ */
+async function classify(checklist, attachment) {
+  const record = {
+    file_name: attachment.fileName,
+    mime_type: attachment.mimeType,
+    thread_id: attachment.threadId,
+    category: null,
+    year: null,
+    score: 0,
+    matched: [],
+    extraction: null,
+    skipped: unsupportedReason(checklist, attachment),
+    classified_at: new Date().toISOString()
+  };
+  if (record.skipped) return record;
+
+  // Images and Word documents are classified by file name only; no download needed
+  let text = '';
+  if (hasExtractableText(attachment)) {
+    const buffer = await downloadAttachment(attachment);
+
+    // A damaged or encrypted PDF is still classified by its file name
+    try {
+      const extracted = await extractAttachmentText(buffer, attachment);
+      text = extracted.pages.join('\n');
+      record.extraction = { method: extracted.method, pages: extracted.pages.length, text_chars: text.length };
+    } catch (error) {
+      logger.warn('Could not extract attachment text', { attachment_id: attachment.id, file_name: attachment.fileName, error });
+      record.extraction = { method: 'failed', error: error.message };
+    }
+  } else {
+    record.extraction = { method: 'none' };
+  }
+
+  const result = classifyAttachment(checklist, { fileName: attachment.fileName, text });
+  record.category = result.category;
+  record.score = result.score;
+  record.matched = result.matched;
+  record.year = result.category ? detectTaxYear(checklist, attachment.fileName, text) : null;
+  return record;
+}
+
+/**
+ * Handler for workflow.convo.box3.documents.check
+ */
+export async function handler(conversation, steps = createJobSteps()) {
+  try {
+    const conversationId = conversation.id;
+    const checklist = getDocumentChecklist();
+    const store = getChecklistStore();
+
+    const stored = store.get(String(conversationId)) || { conversation_id: conversationId, attachments: {} };
+    // Attachments classified by an attempt that failed before its note was posted
+    stored.pending_note ??= [];
+    const attachments = getConversationAttachments(conversation);
+    const newAttachments = attachments.filter(a => !stored.attachments[a.id]);
+
+    logger.info('Handling document checklist', {
+      attachments: attachments.length,
+      new_attachments: newAttachments.length,
+      pending_note: stored.pending_note.length
+    });
+
+    // Attachments seen before keep their classification; only new ones are downloaded
+    for (const attachment of newAttachments) {
+      const record = await classify(checklist, attachment);
+      stored.attachments[attachment.id] = record;
+      stored.pending_note.push(attachment.id);
+      // Keep finished attachments when a later download fails and the job is retried;
+      // pending_note makes the retry still post the note and tag
+      store.set(String(conversationId), { ...stored, updated_at: new Date().toISOString() });
+
+      logger.info('Attachment classified', {
+        attachment_id: attachment.id,
+        file_name: record.file_name,
+        category: record.category,
+        year: record.year,
+        score: record.score,
+        skipped: record.skipped
+      });
+    }
+
+    const taxYears = selectedTaxYears(checklist, conversation);
+    const result = buildChecklist(checklist, Object.values(stored.attachments), taxYears);
+
+    store.set(String(conversationId), {
+      ...stored,
+      tax_years: taxYears,
+      checklist: result,
+      updated_at: new Date().toISOString()
+    });
+
+    if (stored.pending_note.length === 0) {
+      logger.info('No new attachments - checklist unchanged');
+      return { status: 'unchanged', conversation_id: conversationId, complete: result.complete, checklist: result };
+    }
+
+    if (!steps.isDone('note')) {
+      await addNote(conversationId, formatChecklistNote(checklist, result));
+      steps.complete('note');
+    }
+
+    if (result.complete) {
+      await updateConversationTags(conversationId, [DOCS_COMPLETE_TAG]);
+    }
+
+    const classified = stored.pending_note.length;
+    store.set(String(conversationId), { ...store.get(String(conversationId)), pending_note: [], updated_at: new Date().toISOString() });
+
+    logger.info('Document checklist updated', {
+      complete: result.complete,
+      years: Object.keys(result.years),
+      missing: Object.fromEntries(Object.entries(result.years).map(([year, entry]) => [year, entry.missing]))
+    });
+
+    return {
+      status: 'success',
+      conversation_id: conversationId,
+      classified,
+      complete: result.complete,
+      checklist: result
+    };
+
+  } catch (error) {
+    logger.error('Document checklist error', { error });
+    throw error;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Event: workflow.convo.box3.documents.extract
+ *
+ * Downloads new PDF attachments of the customer, extracts their text
+ * locally and finds candidate amounts for custom fields 11-16 (WOZ,
+ * mortgage, savings, investments, assets, debts), each with its source page
+ * and a confidence. Confident values are written to empty fields (or fields
+ * this event filled in before); everything else, including any field an
+ * agent filled in, is only proposed in a note.
+ */
+
+import { CONFIG } from '../config.js';
+import { extractAttachmentText } from '../attachment-text.js';
+import { classifyAttachment, getConversationAttachments, getDocumentChecklist } from '../document-checklist.js';
+import {
+  bestCandidates,
+  decideFieldUpdates,
+  extractFieldCandidates,
+  formatExtractionNote,
+  formatFieldValue,
+  getDocumentFields,
+  getExtractionStore
+} from '../document-fields.js';
+import { addNote, downloadAttachment, freescoutFileUrl, getConversation, updateCustomFields } from '../freescout.js';
+import { logger } from '../logger.js';
+
+export const name = 'workflow.convo.box3.documents.extract';
+
+export const description = 'Extracts WOZ, savings, investment and debt amounts from PDF attachments into custom fields 11-16.';
+
+export const schema = {
+  id: { type: 'number', required: true },
+  customFields: { type: 'array' },
+  _embedded: { type: 'object', required: true }
+};
+
+function isPdfAttachment(attachment) {
+  return attachment.mimeType === 'application/pdf' || /\.pdf$/i.test(attachment.fileName);
+}
+
+/**
+ * Download one PDF and collect its field candidates
+ */
+async function extractFromAttachment(fieldConfig, attachment) {
+  const record = {
+    file_name: attachment.fileName,
+    thread_id: attachment.threadId,
+    pages: 0,
+    candidates: [],
+    error: null,
+    extracted_at: new Date().toISOString()
+  };
+
+  if (!attachment.fileUrl) {
+    record.error = 'no file URL';
+    return record;
+  }
+  if (!freescoutFileUrl(attachment.fileUrl)) {
+    record.error = 'file URL not on the FreeScout server';
+    return record;
+  }
+  if (attachment.size > CONFIG.documentMaxBytes) {
+    record.error = 'file too large';
+    return record;
+  }
+
+  const buffer = await downloadAttachment(attachment);
+
+  let pages;
+  try {
+    pages = (await extractAttachmentText(buffer, attachment)).pages;
+  } catch (error) {
+    logger.warn('Could not extract attachment text', { attachment_id: attachment.id, file_name: attachment.fileName, error });
+    record.error = error.message;
+    return record;
+  }
+
+  // The document category makes amounts from the expected kind of document more reliable
+  const { category } = classifyAttachment(getDocumentChecklist(), { fileName: attachment.fileName, text: pages.join('\n') });
+
+  record.pages = pages.length;
+  record.category = category;
+  record.candidates = extractFieldCandidates(fieldConfig, pages, category)
+    .map(candidate => ({ ...candidate, attachment_id: attachment.id, file_name: attachment.fileName }));
+  return record;
+}
+
+/**
+ * Handler for workflow.convo.box3.documents.extract
+ */
+export async function handler(conversation) {
+  try {
+    const conversationId = conversation.id;
+    const fieldConfig = getDocumentFields();
+    const store = getExtractionStore();
+
+    const stored = store.get(String(conversationId)) || { conversation_id: conversationId, attachments: {}, written: {} };
+    // PDFs extracted by an attempt that failed before the fields and note were done
+    stored.pending ??= [];
+    const pdfs = getConversationAttachments(conversation).filter(isPdfAttachment);
+    const newPdfs = pdfs.filter(a => !stored.attachments[a.id]);
+
+    logger.info('Handling document extraction', { pdfs: pdfs.length, new_pdfs: newPdfs.length, pending: stored.pending.length });
+
+    if (newPdfs.length === 0 && stored.pending.length === 0) {
+      return { status: 'unchanged', conversation_id: conversationId, message: 'No new PDF attachments' };
+    }
+
+    for (const attachment of newPdfs) {
+      const record = await extractFromAttachment(fieldConfig, attachment);
+      stored.attachments[attachment.id] = record;
+      stored.pending.push(attachment.id);
+      // Keep finished attachments when a later download fails and the job is retried;
+      // `pending` makes the retry still write the fields and the note
+      store.set(String(conversationId), { ...stored, updated_at: new Date().toISOString() });
+
+      logger.info('Attachment extracted', {
+        attachment_id: attachment.id,
+        file_name: record.file_name,
+        pages: record.pages,
+        candidates: record.candidates.length,
+        error: record.error
+      });
+    }
+
+    // Current field values decide what may be written; the webhook payload may not include them
+    const current = Array.isArray(conversation.customFields) ? conversation : await getConversation(conversationId);
+
+    const best = bestCandidates(Object.values(stored.attachments).flatMap(record => record.candidates));
+    const decisions = decideFieldUpdates(fieldConfig, best, current, stored.written);
+    const writes = decisions.filter(d => d.action === 'write');
+    const proposals = decisions.filter(d => d.action === 'propose');
+
+    if (writes.length > 0) {
+      await updateCustomFields(conversationId, writes.map(d => ({ id: d.fieldId, value: formatFieldValue(d.candidate.value) })));
+
+      // Remember what was written, so a later change by an agent is recognized
+      for (const d of writes) {
+        stored.written[d.field] = {
+          value: formatFieldValue(d.candidate.value),
+          attachment_id: d.candidate.attachment_id,
+          page: d.candidate.page,
+          confidence: d.candidate.confidence,
+          written_at: new Date().toISOString()
+        };
+      }
+    }
+
+    store.set(String(conversationId), { ...stored, updated_at: new Date().toISOString() });
+
+    if (writes.length > 0 || proposals.length > 0) {
+      await addNote(conversationId, formatExtractionNote(decisions));
+    }
+
+    const extracted = stored.pending.length;
+    store.set(String(conversationId), { ...stored, pending: [], updated_at: new Date().toISOString() });
+
+    logger.info('Document extraction complete', {
+      written: writes.map(d => d.field),
+      proposed: proposals.map(d => d.field)
+    });
+
+    return {
+      status: 'success',
+      conversation_id: conversationId,
+      extracted,
+      fields: decisions.map(d => ({
+        field: d.field,
+        action: d.action,
+        reason: d.reason,
+        value: d.candidate.value,
+        confidence: d.candidate.confidence,
+        file_name: d.candidate.file_name,
+        page: d.candidate.page
+      }))
+    };
+
+  } catch (error) {
+    logger.error('Document extraction error', { error });
+    throw error;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Event: workflow.convo.box3.draft.generate
+ *
+ * Creates an agent-specific AI draft reply for the assigned agent to review
+ * and records the prompt version used in a line item. Long histories are
+ * shortened with a cached summary (see history.js). Once an LLM budget cap
+ * is reached no draft is created and a line item asks the agent to reply.
+ * Drafts go through the output guardrails (see guardrails.js); problems that
+ * remain after regenerating are listed in the line item for the agent.
+ * The draft is written in the language of the customer's messages (see
+ * language.js).
+ */
+
+import { generateDraftReply } from '../ai.js';
+import { getServiceContext } from '../custom-fields.js';
+import { addLineItem, createDraftReply } from '../freescout.js';
+import { generateWithGuardrails } from '../guardrails.js';
+import { buildConversationHistory } from '../history.js';
+import { resolveLanguage, storeLanguage } from '../language.js';
+import { LLMBudgetExceededError } from '../llm-costs.js';
+import { logger } from '../logger.js';
+import { promptLabel } from '../prompts.js';
+
+export const name = 'workflow.convo.box3.draft.generate';
+
+export const description = 'Creates an agent-specific AI draft reply for the assigned agent to review.';
+
+export const schema = {
+  id: { type: 'number', required: true },
+  subject: { type: 'string' },
+  user_id: { type: 'number' },
+  locale: { type: 'string' },
+  customFields: { type: 'array' },
+  _embedded: { type: 'object' }
+};
+
+/**
+ * Leave the reply to the agent when the LLM budget is reached
+ */
+async function skipOverBudget(conversationId, error) {
+  await addLineItem(conversationId, `AI draft skipped: ${error.message} - please reply manually`);
+
+  logger.warn('LLM budget reached - draft left to the agent', { scope: error.scope, spent: error.spent, limit: error.limit });
+
+  return {
+    status: 'skipped',
+    conversation_id: conversationId,
+    reason: error.message,
+    message: 'LLM budget reached - no draft created'
+  };
+}
+
+/**
+ * Handler for workflow.convo.box3.draft.generate
+ */
+export async function handler(conversation) {
+  try {
+    const conversationId = conversation.id;
+
+    logger.info('Handling draft generation', { user_id: conversation.user_id });
+
+    const userId = conversation.user_id;
+    const resolvedLanguage = resolveLanguage(conversation);
+    const language = resolvedLanguage.language;
+    if (resolvedLanguage.source === 'detected') {
+      await storeLanguage(conversation, language);
+    }
+
+    // Get service context from custom fields
+    const serviceContext = getServiceContext(conversation);
+
+    const subject = conversation.subject || '';
+
+    let history;
+    let draftReply;
+    let prompt;
+    let problems;
+    try {
+      // Plain-text history within the token budget; older messages are summarized
+      history = await buildConversationHistory(conversation);
+
+      logger.info('Analyzing conversation', {
+        history_tokens: history.tokens,
+        messages: history.messages,
+        summarized: history.summarized
+      });
+
+      // Generate draft using OpenAI with agent-specific prompt
+      ({ body: draftReply, prompt, problems } = await generateWithGuardrails(
+        'draft',
+        () => generateDraftReply(history, subject, userId, language, serviceContext, conversation)
+      ));
+    } catch (error) {
+      if (error instanceof LLMBudgetExceededError) return skipOverBudget(conversationId, error);
+      throw error;
+    }
+
+    // Create draft thread in FreeScout
+    await createDraftReply(conversationId, draftReply, userId);
+
+    // A bad draft can be traced back to the prompt version that wrote it
+    const check = problems.length > 0 ? ` - please check: ${problems.join('; ')}` : '';
+    await addLineItem(conversationId, `AI draft created (${draftReply.length} chars, prompt ${promptLabel(prompt)})${check}`);
+
+    logger.info('Draft generation complete', { draft_chars: draftReply.length, prompt: promptLabel(prompt), language, guardrail_problems: problems });
+
+    return {
+      status: 'success',
+      conversation_id: conversationId,
+      draft_length: draftReply.length,
+      prompt,
+      language: resolvedLanguage,
+      guardrail_problems: problems,
+      history: { tokens: history.tokens, messages: history.messages, summarized: history.summarized },
+      message: 'Draft reply created successfully'
+    };
+
+  } catch (error) {
+    logger.error('Draft generation error', { error });
+    throw error;
+  }
+}
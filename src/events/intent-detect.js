@@ -0,0 +1,168 @@
+/**
+ * Event: workflow.convo.box3.intent.detect
+ *
+ * Detects every intent in the latest customer message, in the context of the
+ * lifecycle stage (current tags), the last agent message and recent history.
+ * Only intents that are valid for the stage are candidates. Tags the
+ * conversation with the mapped tag of every detected intent (replacing stale
+ * intent tags, see config/intent-tags.json) and adds one line item per intent.
+ * The primary intent is returned separately for routing. When no intent is reliable, or the primary
+ * intent is not, the conversation is tagged NEEDS_REVIEW and assigned to a
+ * human instead of getting intent tags.
+ *
+ * A retried job reuses the detection result of an earlier attempt and only
+ * posts the line items that attempt did not get to.
+ */
+
+import { CONFIG } from '../config.js';
+import { detectIntent } from '../ai.js';
+import { addLineItem, assignConversation, getConversationTags, updateConversationTags } from '../freescout.js';
+import { getIntentTagMap, resolveIntentTags } from '../intent-tags.js';
+import { NEEDS_REVIEW_TAG } from '../intents.js';
+import { buildIntentContext, getTagNames } from '../lifecycle.js';
+import { createJobSteps, NonRetryableError } from '../job-queue.js';
+import { logger } from '../logger.js';
+import { intentsDetected } from '../metrics.js';
+import { promptLabel } from '../prompts.js';
+
+export const name = 'workflow.convo.box3.intent.detect';
+
+export const description = 'Detects every intent in the latest customer message and tags the conversation.';
+
+export const schema = {
+  id: { type: 'number', required: true },
+  subject: { type: 'string' },
+  mailbox: { type: 'object' },
+  _embedded: { type: 'object', required: true }
+};
+
+/**
+ * Line item text for one intent: label, confidence, excerpt and rationale
+ */
+function describeIntent(label, entry) {
+  const parts = [`${label}: ${entry.intent || 'unknown'} (confidence ${entry.confidence.toFixed(2)})`];
+  if (entry.problem) parts.push(`rejected: ${entry.problem}`);
+  if (entry.excerpt) parts.push(`"${entry.excerpt}"`);
+  if (entry.rationale) parts.push(entry.rationale);
+  return parts.join(' - ');
+}
+
+/**
+ * Post the line items an earlier attempt did not post
+ */
+async function addLineItemsOnce(conversationId, texts, steps) {
+  for (let index = steps.get('line_items') || 0; index < texts.length; index += 1) {
+    await addLineItem(conversationId, texts[index]);
+    steps.complete('line_items', index + 1);
+  }
+}
+
+/**
+ * Handler for workflow.convo.box3.intent.detect
+ */
+export async function handler(conversation, steps = createJobSteps()) {
+  try {
+    const conversationId = conversation.id;
+    const mailboxId = conversation.mailbox?.id;
+
+    logger.info('Handling intent detection', { mailbox_id: mailboxId });
+
+    const subject = conversation.subject || '';
+
+    // Current tags decide the lifecycle stage; fetch them when the payload has none
+    const tags = getTagNames(conversation) ?? await getConversationTags(conversationId);
+
+    // Latest customer message plus last agent message and recent history
+    const context = buildIntentContext(conversation, tags);
+
+    if (!context.customerThread) {
+      logger.warn('No customer message found');
+      throw new NonRetryableError(`No customer message found in conversation ${conversationId}`);
+    }
+
+    const conversationText = context.customerMessage;
+
+    logger.info('Analyzing text', {
+      text_chars: conversationText.length,
+      stage: context.stage,
+      lifecycle_tags: context.tags,
+      candidates: context.candidates
+    });
+
+    // Detect intents (rules first, OpenAI when the rules are not certain);
+    // a retry keeps the result the line items of an earlier attempt describe
+    let result = steps.get('intent');
+    if (result) {
+      logger.info('Intent detected by an earlier attempt - not detected again', { intent: result.intent });
+    } else {
+      result = await detectIntent(conversationText, subject, context);
+      steps.complete('intent', result);
+    }
+    const decidedBy = result.prompt ? `${result.decidedBy}, prompt ${promptLabel(result.prompt)}` : result.decidedBy;
+
+    if (result.needsReview) {
+      if (!steps.isDone('tags')) {
+        intentsDetected.inc({ intent: NEEDS_REVIEW_TAG });
+        await updateConversationTags(conversationId, [NEEDS_REVIEW_TAG]);
+        await assignConversation(conversationId, CONFIG.intentReviewUserId);
+        steps.complete('tags');
+      }
+
+      // Show the agent what the model suggested
+      await addLineItemsOnce(conversationId, [
+        `Intent needs review (decided by ${decidedBy}): ${result.reviewReason}`,
+        ...[...result.intents, ...result.rejected].map(entry => describeIntent('Suggested intent', entry))
+      ], steps);
+
+      logger.warn('Intent needs human review', {
+        intent: result.intent,
+        review_reason: result.reviewReason,
+        assigned_to: CONFIG.intentReviewUserId
+      });
+    } else {
+      // Tag every detected intent and drop the intent tags it supersedes
+      const tagUpdate = resolveIntentTags(getIntentTagMap(), result.intents.map(entry => entry.intent));
+      if (!steps.isDone('tags')) {
+        result.intents.forEach(entry => intentsDetected.inc({ intent: entry.intent }));
+        await updateConversationTags(conversationId, tagUpdate.add, tagUpdate.remove);
+        steps.complete('tags');
+      }
+
+      // One line item per intent, so agents can see why each tag was set
+      await addLineItemsOnce(conversationId, result.intents.map(entry => {
+        const label = `Intent detected by ${decidedBy}${entry.intent === result.intent ? ' (primary)' : ''}`;
+        return describeIntent(label, entry);
+      }), steps);
+
+      logger.info('Intent detection complete', {
+        decided_by: result.decidedBy,
+        intent: result.intent,
+        confidence: result.confidence,
+        intents: result.intents.map(entry => entry.intent),
+        added_tags: tagUpdate.add,
+        replaced_tags: tagUpdate.remove
+      });
+    }
+
+    return {
+      status: 'success',
+      intent: result.intent,
+      confidence: result.confidence,
+      rationale: result.rationale,
+      intents: result.intents,
+      stage: context.stage,
+      decided_by: result.decidedBy,
+      rules: result.rules,
+      prompt: result.prompt || null,
+      needs_review: result.needsReview,
+      review_reason: result.reviewReason,
+      conversation_id: conversationId,
+      mailbox_id: mailboxId,
+      analyzed_text_length: conversationText.length
+    };
+
+  } catch (error) {
+    logger.error('Intent detection error', { error });
+    throw error;
+  }
+}
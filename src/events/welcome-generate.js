@@ -0,0 +1,312 @@
+/**
+ * Event: workflow.convo.box3.welcome.generate
+ *
+ * Sends the AI-generated welcome email (Email 1) and schedules the upload request (Email 2).
+ * Once an LLM budget cap is reached, Email 1 is a fixed template instead.
+ * Email 1 goes through the output guardrails (see guardrails.js); when it
+ * still fails after regenerating, it is saved as a draft for review instead
+ * of being sent, and Email 2 is not scheduled: the customer would otherwise
+ * get the upload request without a welcome.
+ * The language is detected from the customer's messages (see language.js).
+ * The subject, the template email and Email 2 only exist in Dutch and
+ * English; other languages get TEMPLATE_FALLBACK_LANGUAGE.
+ */
+
+import { generateWelcomeEmail } from '../ai.js';
+import { CONFIG } from '../config.js';
+import { getServiceContext } from '../custom-fields.js';
+import { addLineItem, assignConversation, createDraftReply, sendDelayedEmailToCustomer, sendEmailToCustomer, updateConversationTags } from '../freescout.js';
+import { generateWithGuardrails } from '../guardrails.js';
+import { resolveLanguage, storeLanguage, templateLanguage } from '../language.js';
+import { createJobSteps } from '../job-queue.js';
+import { LLMBudgetExceededError } from '../llm-costs.js';
+import { logger } from '../logger.js';
+import { promptLabel } from '../prompts.js';
+
+export const name = 'workflow.convo.box3.welcome.generate';
+
+export const description = 'Sends the AI-generated welcome email (Email 1) and schedules the upload request (Email 2).';
+
+// Languages of the fixed texts below
+const TEMPLATE_LANGUAGES = ['nl', 'en'];
+
+const WELCOME_SUBJECTS = {
+  nl: 'Welkom - Uw Box 3 bezwaar traject',
+  en: 'Welcome - Your Box 3 objection process'
+};
+
+export const schema = {
+  id: { type: 'number', required: true },
+  subject: { type: 'string' },
+  locale: { type: 'string' },
+  customer: { type: 'object' },
+  customFields: { type: 'array' },
+  _embedded: { type: 'object' }
+};
+
+/**
+ * Welcome email without the model, for when the LLM budget is reached
+ */
+function templateWelcomeEmail(language) {
+  return language === 'en'
+    ? `<p>Dear {%customer.fullName%},</p>
+
+<p>Thank you for your message and welcome! We are happy to help you with your Box 3 objection based on actual returns.</p>
+
+<p>In a moment you will receive a separate email listing the documents we need. As soon as we have them, we will start the analysis.</p>
+
+<p>If you have any questions in the meantime, simply reply to this email.</p>`
+    : `<p>Beste {%customer.fullName%},</p>
+
+<p>Hartelijk dank voor uw bericht en welkom! Wij helpen u graag met uw Box 3 bezwaar op basis van werkelijk rendement.</p>
+
+<p>U ontvangt zo dadelijk een aparte e-mail met de documenten die wij nodig hebben. Zodra wij deze hebben, starten wij met de analyse.</p>
+
+<p>Heeft u in de tussentijd vragen? Beantwoord dan gewoon deze e-mail.</p>`;
+}
+
+/**
+ * Handler for workflow.convo.box3.welcome.generate
+ */
+export async function handler(conversation, steps = createJobSteps()) {
+  try {
+    const conversationId = conversation.id;
+
+    logger.info('Handling welcome email generation');
+
+    const subject = conversation.subject || '';
+    const customerName = conversation.customer?.first_name || 'klant';
+    const resolvedLanguage = resolveLanguage(conversation);
+    const language = resolvedLanguage.language;
+    if (resolvedLanguage.source === 'detected') {
+      await storeLanguage(conversation, language);
+    }
+    const templateLanguageCode = templateLanguage('welcome', language, TEMPLATE_LANGUAGES);
+
+    // Get service context from custom fields
+    const serviceContext = getServiceContext(conversation);
+
+    // A retried job does not send what an earlier attempt already sent
+    let welcome = steps.get('welcome_email');
+    if (welcome) {
+      logger.info('Welcome email handled by an earlier attempt - not sent again', { welcome_email: welcome.held ? 'draft' : 'sent' });
+    } else {
+      // Extract customer's initial message
+      const threads = conversation._embedded?.threads || [];
+      const firstCustomerMessage = threads
+        .filter(t => t.type === 'customer' || t.type === 'message')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+      // If no customer message yet (lead import, form submission), use subject/custom fields
+      let customerMessage = '';
+      if (firstCustomerMessage) {
+        customerMessage = firstCustomerMessage.body;
+        logger.info('Generating personalized welcome based on customer message', { customer_name: customerName });
+      } else {
+        logger.warn('No customer message found - generating welcome based on subject and custom fields');
+        customerMessage = `New lead imported. Subject: ${subject}. Customer has not sent a message yet.`;
+      }
+
+      // Generate personalized welcome email using AI (the template once the budget is reached)
+      let welcomeEmailBody;
+      let prompt = null;
+      let problems = [];
+      try {
+        ({ body: welcomeEmailBody, prompt, problems } = await generateWithGuardrails(
+          'welcome',
+          () => generateWelcomeEmail(customerMessage, subject, customerName, language, serviceContext, conversation),
+          { requireSteps: true }
+        ));
+      } catch (error) {
+        if (!(error instanceof LLMBudgetExceededError)) throw error;
+        logger.warn('LLM budget reached - sending the template welcome email', { scope: error.scope, spent: error.spent, limit: error.limit });
+        welcomeEmailBody = templateWelcomeEmail(templateLanguageCode);
+      }
+      const welcomeSource = prompt
+        ? `AI-generated, ${welcomeEmailBody.length} chars, prompt ${promptLabel(prompt)}`
+        : `template - LLM budget reached, ${welcomeEmailBody.length} chars`;
+
+      // An email that failed the guardrails waits as a draft for a human
+      const held = problems.length > 0;
+      if (held) {
+        await createDraftReply(conversationId, welcomeEmailBody, CONFIG.guardrailReviewUserId);
+        await assignConversation(conversationId, CONFIG.guardrailReviewUserId);
+      } else {
+        await sendEmailToCustomer(
+          conversationId,
+          WELCOME_SUBJECTS[templateLanguageCode],
+          welcomeEmailBody
+        );
+      }
+
+      welcome = { held, source: welcomeSource, chars: welcomeEmailBody.length, prompt, problems };
+      steps.complete('welcome_email', welcome);
+    }
+    const { held, prompt, problems } = welcome;
+
+    // Create Email 2: Upload Request (with 5 minute delay)
+    const uploadRequestSubject = templateLanguageCode === 'en'
+      ? 'Action required: Submit actual return data'
+      : 'Actie vereist: Aanleveren gegevens werkelijk rendement';
+
+    const uploadRequestBody = templateLanguageCode === 'en'
+      ? `<p>Dear {%customer.fullName%},</p>
+
+<p>To make your objection based on actual returns viable, we need more than just your tax return. The Dutch Tax Authority calculates with fictitious percentages, but we want to calculate with what actually happened.</p>
+
+<p>Please reply to this email with the documents listed below. In your response, please clearly indicate which tax year this concerns.</p>
+
+<h3>1. Income Tax Return</h3>
+<p>The PDF of the submitted tax return for the relevant year.</p>
+<p><strong>Why:</strong> This is our starting point to see how the Tax Authority has calculated your wealth.</p>
+<p><strong>Where to find:</strong> You can download this by logging into My Tax Authority (under the 'Income Tax' tab).</p>
+
+<h3>2. Bank Accounts (Interest & Currency)</h3>
+<p>An overview of actually received interest and any currency results.</p>
+<p><strong>Why:</strong> We must prove that your actual savings interest is lower than the notional return used by the tax authority.</p>
+<p><strong>Where to find:</strong> This is in the annual financial overview you can download from your banking app or internet banking.</p>
+
+<h3>3. Investments</h3>
+<p>An overview with opening balance (Jan 1), closing balance (Dec 31), any deposits/withdrawals, and received dividends.</p>
+<p><strong>Why:</strong> Returns consist not only of dividends, but also of price gains or losses. By comparing opening and closing balances (adjusted for deposits), we calculate your exact wealth growth.</p>
+<p><strong>Where to find:</strong> Consult the tax annual overview of your investment account or broker.</p>
+
+<h3>4. Real Estate & Other Assets</h3>
+<p>The WOZ value on January 1 of the relevant year AND that of the following year (T+1). If rented: an overview of rental income.</p>
+<p><strong>Why:</strong> For real estate, total return counts: that's the value increase (indirect return) plus rental income (direct return).</p>
+<p><strong>Where to find:</strong> On the WOZ assessment from the municipality or via wozwaardeloket.nl.</p>
+
+<h3>5. Debts</h3>
+<p>An overview of debts and interest paid.</p>
+<p><strong>Why:</strong> The interest you pay on debts (in box 3) reduces your actual return. We include this in the calculation in favor of your result.</p>
+<p><strong>Where to find:</strong> In the annual statement from your mortgage provider or lender.</p>
+
+<p><strong>How to submit your documents securely:</strong></p>
+
+<p><strong>Option 1 — Via email</strong><br>
+Reply to this email and attach your documents.<br>
+Allowed file formats: PDF, JPG, PNG, DOC, DOCX.</p>
+
+<p><strong>Option 2 — Via our secure upload environment (recommended)</strong><br>
+Upload your documents securely via our secure environment:<br>
+👉 <a href="https://automail.jandebelastingman.nl/help/2796044459/tickets">Klik hier om documenten veilig te uploaden</a></p>
+
+<p>Once we have these documents complete, we will start the analysis within 1-2 business days.</p>`
+      : `<p>Beste {%customer.fullName%},</p>
+
+<p>Om uw bezwaar op basis van werkelijk rendement kansrijk te maken, hebben wij meer nodig dan alleen uw belastingaangifte. De Belastingdienst rekent met fictieve percentages, maar wij willen rekenen met wat er écht is gebeurd.</p>
+
+<p>Wilt u deze e-mail beantwoorden met de onderstaande documenten? Vermeld in uw reactie s.v.p. ook duidelijk om welk belastingjaar het gaat.</p>
+
+<h3>1. De aangifte inkomstenbelasting</h3>
+<p>De PDF van de ingediende aangifte van het betreffende jaar.</p>
+<p><strong>Waarom:</strong> Dit is ons startpunt om te zien hoe de Belastingdienst uw vermogen nu heeft berekend.</p>
+<p><strong>Waar te vinden:</strong> U kunt deze downloaden door in te loggen op Mijn Belastingdienst (onder het tabblad 'Inkomstenbelasting').</p>
+
+<h3>2. Bankrekeningen (Rente & Valuta)</h3>
+<p>Een overzicht van de daadwerkelijk ontvangen rente en eventuele valutaresultaten.</p>
+<p><strong>Waarom:</strong> Wij moeten aantonen dat uw werkelijk ontvangen spaarrente lager is dan het forfaitaire rendement waar de fiscus mee rekent.</p>
+<p><strong>Waar te vinden:</strong> Dit staat in het financieel jaaroverzicht dat u kunt downloaden in uw bankieren-app of via internetbankieren.</p>
+
+<h3>3. Beleggingen</h3>
+<p>Een overzicht met de beginstand (1 jan), eindstand (31 dec), eventuele stortingen/onttrekkingen en de ontvangen dividenden.</p>
+<p><strong>Waarom:</strong> Rendement bestaat niet alleen uit dividend, maar ook uit koerswinst of -verlies. Door de begin- en eindstand te vergelijken (gecorrigeerd voor stortingen), berekenen we uw exacte vermogensgroei.</p>
+<p><strong>Waar te vinden:</strong> Raadpleeg hiervoor het fiscale jaaroverzicht van uw beleggingsrekening of broker.</p>
+
+<h3>4. Vastgoed & overige bezittingen</h3>
+<p>De WOZ-waarde op 1 januari van het betreffende jaar én die van het jaar erna (T+1). Indien verhuurd: een overzicht van de huuropbrengsten.</p>
+<p><strong>Waarom:</strong> Voor vastgoed telt het totaalrendement: dat is de waardestijging (indirect rendement) plus de huurinkomsten (direct rendement).</p>
+<p><strong>Waar te vinden:</strong> Op de WOZ-beschikking van de gemeente of via wozwaardeloket.nl.</p>
+
+<h3>5. Schulden</h3>
+<p>Een overzicht van de schulden en de betaalde rente.</p>
+<p><strong>Waarom:</strong> De rente die u betaalt over schulden (in box 3) verlaagt uw werkelijke rendement. Dit nemen we mee in de berekening ten gunste van uw resultaat.</p>
+<p><strong>Waar te vinden:</strong> In de jaaropgave van uw hypotheekverstrekker of kredietverlener.</p>
+
+<p><strong>U kunt uw documenten op twee manieren veilig aanleveren:</strong></p>
+
+<p><strong>Optie 1 — Via e-mail</strong><br>
+Beantwoord deze e-mail en voeg uw documenten toe.<br>
+Toegestane bestandsformaten: PDF, JPG, PNG, DOC, DOCX.</p>
+
+<p><strong>Optie 2 — Via onze beveiligde uploadomgeving (aanbevolen)</strong><br>
+Upload uw documenten veilig via onze beveiligde omgeving:<br>
+👉 <a href="https://automail.jandebelastingman.nl/help/2796044459/tickets">Klik hier om documenten veilig te uploaden</a></p>
+
+<p>Zodra wij deze stukken compleet hebben, starten wij binnen 1-2 werkdagen met de analyse.</p>`;
+
+    // The upload request only follows a welcome email that went out
+    if (held) {
+      await addLineItem(
+        conversationId,
+        `Email 1: Welcome email saved as draft for review (${welcome.source}; guardrails: ${problems.join('; ')}) | Email 2: Upload request not scheduled - request the documents once the welcome email is sent`
+      );
+
+      logger.info('Welcome email saved as draft - upload request not scheduled', {
+        email_chars: welcome.chars,
+        language,
+        language_source: resolvedLanguage.source,
+        template_language: templateLanguageCode,
+        prompt: prompt ? promptLabel(prompt) : 'template',
+        guardrail_problems: problems
+      });
+
+      return {
+        status: 'success',
+        conversation_id: conversationId,
+        email_length: welcome.chars,
+        prompt,
+        language: { ...resolvedLanguage, template: templateLanguageCode },
+        welcome_email: 'draft',
+        guardrail_problems: problems,
+        upload_request_delay: null,
+        message: 'Welcome email saved as draft for review; upload request not scheduled'
+      };
+    }
+
+    if (!steps.isDone('upload_request')) {
+      await sendDelayedEmailToCustomer(
+        conversationId,
+        uploadRequestSubject,
+        uploadRequestBody,
+        30, // delay value
+        'minutes' // delay unit
+      );
+      steps.complete('upload_request');
+    }
+
+    // Add DOCS_REQUESTED tag
+    await updateConversationTags(conversationId, ['DOCS_REQUESTED']);
+
+    // Add line item for workflow tracking
+    await addLineItem(
+      conversationId,
+      `Email 1: Welcome email sent (${welcome.source}) | Email 2: Upload request scheduled (5 minute delay)`
+    );
+
+    logger.info('Welcome email sent, upload request scheduled and DOCS_REQUESTED tag added', {
+      email_chars: welcome.chars,
+      language,
+      language_source: resolvedLanguage.source,
+      template_language: templateLanguageCode,
+      prompt: prompt ? promptLabel(prompt) : 'template',
+      guardrail_problems: problems
+    });
+
+    return {
+      status: 'success',
+      conversation_id: conversationId,
+      email_length: welcome.chars,
+      prompt,
+      language: { ...resolvedLanguage, template: templateLanguageCode },
+      welcome_email: 'sent',
+      guardrail_problems: problems,
+      upload_request_delay: '5 minutes',
+      message: 'Welcome email sent and upload request scheduled with 5 minute delay'
+    };
+
+  } catch (error) {
+    logger.error('Welcome email generation error', { error });
+    throw error;
+  }
+}
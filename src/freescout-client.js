@@ -0,0 +1,158 @@
+/**
+ * FreeScout API Client
+ *
+ * Shared HTTP client for the FreeScout API, used by the webhook server and
+ * the scripts in scripts/. Provides:
+ * - TLS verification (on by default) with optional custom CA certificate
+ * - Request timeouts
+ * - Retry with exponential backoff on 429 and 5xx (honours Retry-After up to
+ *   FREESCOUT_MAX_RETRY_DELAY_MS; a longer wait reschedules the job, see
+ *   retry-delay.js);
+ *   POSTs (emails, notes, drafts) are only retried when FreeScout cannot have
+ *   processed them, so a timeout never sends an email twice
+ * - FreeScoutApiError, which names the FreeScout operation that failed
+ *
+ * Environment (see freescoutOptionsFromEnv):
+ * - FREESCOUT_BASE_URL, FREESCOUT_API_TOKEN (or FREESCOUT_API_KEY)
+ * - FREESCOUT_TLS_VERIFY=false to disable certificate checks (local testing only)
+ * - FREESCOUT_CA_CERT=path/to/ca.pem for self-signed or private CAs
+ * - FREESCOUT_TIMEOUT_MS, FREESCOUT_MAX_RETRIES, FREESCOUT_RETRY_BASE_MS,
+ *   FREESCOUT_MAX_RETRY_DELAY_MS
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import https from 'https';
+import { logger } from './logger.js';
+import { errorStatusLabel, freescoutRequestDuration } from './metrics.js';
+import { retryDelayMs } from './retry-delay.js';
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// Failures where the request never reached FreeScout or was turned away before it was processed
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+/**
+ * Error thrown when a FreeScout operation fails (after retries)
+ *
+ * Keeps the axios `response` so callers can inspect status and body.
+ */
+export class FreeScoutApiError extends Error {
+  constructor(operation, cause, attempts = 1) {
+    const status = cause.response?.status;
+    const detail = cause.response?.data?.message || cause.message;
+    super(`FreeScout ${operation} failed${status ? ` (HTTP ${status})` : ''}: ${detail}`);
+
+    this.name = 'FreeScoutApiError';
+    this.operation = operation;
+    this.status = status || null;
+    this.code = cause.code || null;
+    this.attempts = attempts;
+    this.response = cause.response;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Read client options from environment variables
+ */
+export function freescoutOptionsFromEnv(env = process.env) {
+  return {
+    baseUrl: env.FREESCOUT_BASE_URL || 'https://freescout.test',
+    apiKey: env.FREESCOUT_API_TOKEN || env.FREESCOUT_API_KEY,
+    tlsVerify: env.FREESCOUT_TLS_VERIFY !== 'false',
+    caCertPath: env.FREESCOUT_CA_CERT || null,
+    timeoutMs: parseInt(env.FREESCOUT_TIMEOUT_MS || '15000', 10),
+    maxRetries: parseInt(env.FREESCOUT_MAX_RETRIES || '3', 10),
+    retryBaseMs: parseInt(env.FREESCOUT_RETRY_BASE_MS || '500', 10),
+    maxRetryDelayMs: parseInt(env.FREESCOUT_MAX_RETRY_DELAY_MS || '60000', 10)
+  };
+}
+
+/**
+ * Decide whether a failed request is worth retrying
+ *
+ * Other methods than GET, PUT and DELETE may already have been carried out
+ * when they time out or get a 5xx, so they are only retried on 429 and when
+ * the connection was never made.
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  const idempotent = IDEMPOTENT_METHODS.includes(String(method || 'get').toLowerCase());
+  if (status) {
+    return status === 429 || (idempotent && status >= 500);
+  }
+  return idempotent ? RETRYABLE_NETWORK_CODES.includes(error.code) : UNSENT_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Create a FreeScout API client
+ */
+export function createFreeScoutClient({
+  baseUrl,
+  apiKey,
+  tlsVerify = true,
+  caCertPath = null,
+  timeoutMs = 15000,
+  maxRetries = 3,
+  retryBaseMs = 500,
+  maxRetryDelayMs = 60000
+}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: {
+      'X-Automail-API-Key': apiKey,
+      'Content-Type': 'application/json'
+    },
+    httpsAgent: new https.Agent({
+      rejectUnauthorized: tlsVerify,
+      ca: caCertPath ? fs.readFileSync(caCertPath) : undefined
+    })
+  });
+
+  /**
+   * Perform a request for a named operation, e.g.
+   * request('getConversation', { method: 'get', url: '/api/conversations/1' })
+   */
+  async function request(operation, config) {
+    let attempt = 0;
+
+    while (true) {
+      attempt += 1;
+      const endTimer = freescoutRequestDuration.startTimer({ operation });
+      try {
+        const response = await http.request(config);
+        endTimer({ status: String(response.status) });
+        return response;
+      } catch (error) {
+        endTimer({ status: errorStatusLabel(error) });
+        if (attempt > maxRetries || !isRetryable(error, config.method)) {
+          throw new FreeScoutApiError(operation, error, attempt);
+        }
+
+        const delay = retryDelayMs(error, attempt, { baseMs: retryBaseMs, maxMs: maxRetryDelayMs, service: 'FreeScout', operation });
+        logger.warn('FreeScout call failed - retrying', {
+          operation,
+          status: error.response?.status,
+          code: error.code,
+          attempt,
+          max_retries: maxRetries,
+          retry_in_ms: delay
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+    get: (operation, url, config = {}) => request(operation, { ...config, method: 'get', url }),
+    post: (operation, url, data, config = {}) => request(operation, { ...config, method: 'post', url, data }),
+    put: (operation, url, data, config = {}) => request(operation, { ...config, method: 'put', url, data }),
+    delete: (operation, url, config = {}) => request(operation, { ...config, method: 'delete', url })
+  };
+}
@@ -0,0 +1,340 @@
+/**
+ * FreeScout API
+ *
+ * Conversation, tag, thread and email operations against the FreeScout API.
+ * All requests go through the shared FreeScout client (TLS, timeouts, retries).
+ */
+
+import { CONFIG } from './config.js';
+import { createFreeScoutClient } from './freescout-client.js';
+import { logger } from './logger.js';
+
+const freescout = createFreeScoutClient(CONFIG.freescout);
+
+/**
+ * Get conversation details from FreeScout
+ */
+export async function getConversation(conversationId) {
+  try {
+    const response = await freescout.get(
+      'getConversation',
+      `/api/conversations/${conversationId}`,
+      { params: { embed: 'threads' } }
+    );
+
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to get conversation', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Get the tag names of a conversation
+ */
+export async function getConversationTags(conversationId) {
+  try {
+    const response = await freescout.get('getConversationTags', '/api/tags', {
+      params: {
+        conversationId: conversationId,
+        page: 1,
+        pageSize: 100
+      }
+    });
+
+    // Extract tag names from _embedded.tags array of objects
+    const tagObjects = response.data._embedded?.tags || [];
+    return tagObjects.map(tag => tag.name);
+  } catch (error) {
+    logger.error('Failed to get tags', { conversationId, error });
+    throw error;
+  }
+}
+
+// Pending tag update per conversation; updates run one after another so a
+// concurrent read-modify-write cannot undo another update's changes
+const tagUpdates = new Map();
+
+/**
+ * Update conversation tags in FreeScout
+ *
+ * Adds `newTags` and removes `removeTags` from the existing tags in a single
+ * write (FreeScout replaces the full tag list); all other tags are kept.
+ */
+export async function updateConversationTags(conversationId, newTags, removeTags = []) {
+  const previous = tagUpdates.get(conversationId) || Promise.resolve();
+  const update = previous.catch(() => {}).then(() => writeConversationTags(conversationId, newTags, removeTags));
+
+  tagUpdates.set(conversationId, update);
+  try {
+    return await update;
+  } finally {
+    if (tagUpdates.get(conversationId) === update) tagUpdates.delete(conversationId);
+  }
+}
+
+async function writeConversationTags(conversationId, newTags, removeTags) {
+  try {
+    // First, fetch existing tags
+    const existingTags = await getConversationTags(conversationId);
+
+    // Drop replaced tags, then merge in the new tags (remove duplicates)
+    const allTags = [...new Set([...existingTags.filter(tag => !removeTags.includes(tag)), ...newTags])];
+    const removedTags = existingTags.filter(tag => !allTags.includes(tag));
+
+    // Update with merged tags
+    const response = await freescout.put(
+      'updateConversationTags',
+      `/api/conversations/${conversationId}/tags`,
+      { tags: allTags }
+    );
+
+    logger.info('Tags updated', {
+      conversationId,
+      previous_tags: existingTags,
+      added_tags: newTags,
+      removed_tags: removedTags,
+      current_tags: allTags
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to update tags', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Assign conversation to a FreeScout user
+ */
+export async function assignConversation(conversationId, userId) {
+  try {
+    const response = await freescout.put(
+      'assignConversation',
+      `/api/conversations/${conversationId}`,
+      {
+        byUser: 1,         // System user
+        assignTo: userId
+      }
+    );
+
+    logger.info('Conversation assigned', { conversationId, user_id: userId });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to assign conversation', { conversationId, user_id: userId, error });
+    throw error;
+  }
+}
+
+/**
+ * Add note to conversation
+ */
+export async function addNote(conversationId, noteText) {
+  try {
+    const response = await freescout.post(
+      'addNote',
+      `/api/conversations/${conversationId}/threads`,
+      {
+        type: 'note',
+        text: noteText,  // FreeScout uses "text" not "body"
+        user: 1          // System user
+      }
+    );
+
+    logger.info('Note added', { conversationId });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to add note', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Add line item (timeline event) to conversation
+ */
+export async function addLineItem(conversationId, actionText) {
+  try {
+    const requestBody = {
+      type: 'lineitem',
+      user: 1,           // System user
+      action_type: 100,  // Custom action type
+      source_type: 3,    // API
+      source_via: 2      // USER
+    };
+
+    // Add custom action text via meta if provided
+    if (actionText) {
+      requestBody.meta = { custom_action_text: actionText };
+    }
+
+    const response = await freescout.post(
+      'addLineItem',
+      `/api/conversations/${conversationId}/threads`,
+      requestBody
+    );
+
+    logger.info('Line item added', { conversationId, action_text: actionText });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to add line item', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Set custom field values of a conversation ([{ id, value }])
+ */
+export async function updateCustomFields(conversationId, customFields) {
+  try {
+    const response = await freescout.put(
+      'updateCustomFields',
+      `/api/conversations/${conversationId}/custom_fields`,
+      { customFields }
+    );
+
+    logger.info('Custom fields updated', { conversationId, field_ids: customFields.map(field => field.id) });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to update custom fields', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Absolute URL of an attachment when it is on the FreeScout server, else null
+ *
+ * fileUrl comes from the webhook payload; downloading it from another host
+ * would send that host the API key (and let payloads make the server fetch
+ * internal URLs).
+ */
+export function freescoutFileUrl(fileUrl) {
+  if (!fileUrl) return null;
+  try {
+    const base = new URL(CONFIG.freescout.baseUrl);
+    const url = new URL(fileUrl, base);
+    return url.origin === base.origin ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download an attachment (thread _embedded.attachments[].fileUrl) as a Buffer;
+ * only from the FreeScout server (see freescoutFileUrl)
+ */
+export async function downloadAttachment(attachment) {
+  const url = freescoutFileUrl(attachment.fileUrl);
+  if (!url) {
+    logger.warn('Attachment URL is not on the FreeScout server - not downloaded', { attachment_id: attachment.id, file_name: attachment.fileName });
+    throw new Error(`Attachment ${attachment.id} is not on the FreeScout server`);
+  }
+
+  try {
+    // No redirects: they would carry the API key header to the new host
+    const response = await freescout.get('downloadAttachment', url, { responseType: 'arraybuffer', maxRedirects: 0 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    logger.error('Failed to download attachment', { attachment_id: attachment.id, file_name: attachment.fileName, error });
+    throw error;
+  }
+}
+
+/**
+ * Create draft reply thread in FreeScout
+ */
+export async function createDraftReply(conversationId, draftText, assignedUserId) {
+  try {
+    const response = await freescout.post(
+      'createDraftReply',
+      `/api/conversations/${conversationId}/threads`,
+      {
+        type: 'message',  // Use 'message' not 'reply'
+        text: draftText,  // FreeScout uses "text" not "body"
+        user: assignedUserId || 1,
+        state: 'draft'    // Use 'state' not 'status' for draft
+      }
+    );
+
+    logger.info('Draft reply created', { conversationId });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to create draft', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Send email to customer via FreeScout
+ */
+export async function sendEmailToCustomer(conversationId, subject, body, scheduledAt = null) {
+  try {
+    const requestBody = {
+      type: 'message',
+      text: body,  // FreeScout uses "text" not "body"
+      user: 1      // System user
+    };
+
+    // Add scheduledAt if provided
+    if (scheduledAt) {
+      requestBody.scheduledAt = scheduledAt;
+    }
+
+    const response = await freescout.post(
+      'sendEmailToCustomer',
+      `/api/conversations/${conversationId}/threads`,
+      requestBody
+    );
+
+    if (scheduledAt) {
+      logger.info('Email scheduled', { conversationId, scheduled_at: scheduledAt });
+    } else {
+      logger.info('Email sent to customer', { conversationId });
+    }
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to send email', { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Calculate scheduled datetime in ISO 8601 format
+ */
+export function calculateScheduledDateTime(delayValue, delayUnit) {
+  const now = new Date();
+  const delay = {
+    'minutes': delayValue * 60 * 1000,
+    'hours': delayValue * 60 * 60 * 1000,
+    'days': delayValue * 24 * 60 * 60 * 1000
+  }[delayUnit] || 0;
+
+  return new Date(now.getTime() + delay).toISOString();
+}
+
+/**
+ * Send delayed email to customer using FreeScout's scheduledAt feature
+ */
+export async function sendDelayedEmailToCustomer(conversationId, subject, body, delayValue, delayUnit) {
+  try {
+    const scheduledAt = calculateScheduledDateTime(delayValue, delayUnit);
+
+    const requestBody = {
+      type: 'message',    // Correct thread type for agent reply
+      text: body,         // FreeScout uses "text" not "body"
+      user: 1,            // System user (required for agent threads)
+      scheduledAt: scheduledAt  // ISO 8601 datetime
+    };
+
+    const response = await freescout.post(
+      'sendDelayedEmailToCustomer',
+      `/api/conversations/${conversationId}/threads`,
+      requestBody
+    );
+
+    logger.info('Email scheduled', { conversationId, scheduled_at: scheduledAt, delay: `${delayValue} ${delayUnit}` });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to send delayed email', { conversationId, error });
+    throw error;
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Output Guardrails
+ *
+ * Checks AI-generated emails and drafts before they reach a customer or an
+ * agent. Fixed automatically:
+ * - Markdown code fences around the HTML
+ * - Signature blocks ("Met vriendelijke groet", "Kind regards", ...) and
+ *   everything after them; FreeScout adds the signature
+ * - HTML outside the allowlist (scripts, styles, tables, attributes other
+ *   than http(s)/mailto links); unclosed tags are closed
+ *
+ * Reported as problems:
+ * - Euro amounts and dates that do not appear in the data the model was
+ *   given (custom fields, conversation, document context, prompt)
+ * - For welcome emails: no <ol> with exactly the five steps
+ *
+ * generateWithGuardrails() regenerates output with problems up to
+ * GUARDRAIL_MAX_ATTEMPTS times; the caller decides what happens when the
+ * last attempt still fails.
+ */
+
+import { CONFIG } from './config.js';
+import { toPlainText } from './intent-rules.js';
+import { logger } from './logger.js';
+import { guardrailOutcomes } from './metrics.js';
+
+export const WELCOME_STEPS = 5;
+
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ol', 'ul', 'li', 'h3', 'h4', 'a'];
+
+const SIGNATURE = /(?:<p\b[^>]*>|<br\s*\/?>|\n|^)\s*(?:<(?:strong|b|em|i)>\s*)*(?:met\s+(?:vriendelijke|hartelijke)\s+groet(?:en)?|(?:vriendelijke|hartelijke)\s+groet(?:en)?|groet(?:en)?|(?:kind|best|warm)\s+regards|regards|(?:yours\s+)?sincerely)\s*,?\s*(?:<\/(?:strong|b|em|i)>\s*)*(?=<\/p>|<br\s*\/?>|\n|$)/i;
+
+const AMOUNT = /(?:€|&euro;|\bEUR)\s?(\d{1,3}(?:[.,\s]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)(?:,-)?|(\d{1,3}(?:[.,\s]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)\s?(?:euro|EUR)\b/gi;
+const NUMBER = /\d{1,3}(?:[.,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g;
+
+const MONTHS = {
+  januari: 1, january: 1, februari: 2, february: 2, maart: 3, march: 3, april: 4, mei: 5, may: 5,
+  juni: 6, june: 6, juli: 7, july: 7, augustus: 8, august: 8, september: 9, oktober: 10, october: 10,
+  november: 11, december: 12
+};
+const MONTH_NAMES = Object.keys(MONTHS).join('|');
+
+const DATE_PATTERNS = [
+  { pattern: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/g, parts: m => [m[3], m[2], m[1]] },
+  { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  { pattern: new RegExp(`\\b(\\d{1,2})\\s+(${MONTH_NAMES})\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS[m[2].toLowerCase()], m[1]] },
+  { pattern: new RegExp(`\\b(${MONTH_NAMES})\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS[m[1].toLowerCase()], m[2]] }
+];
+
+/**
+ * Remove markdown code fences, keeping what was inside them
+ */
+export function stripCodeFences(text) {
+  return text.replace(/```[a-z]*[ \t]*\n?/gi, '').trim();
+}
+
+/**
+ * Cut a closing signature block and everything after it
+ */
+export function stripSignature(html) {
+  const match = html.match(SIGNATURE);
+  return match ? html.slice(0, match.index).trim() : html;
+}
+
+function escapeText(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Keep only allowlisted tags without attributes (links keep an http(s) or
+ * mailto href), and close tags that were left open
+ *
+ * Returns { html, removed } with the names of the tags that were removed.
+ */
+export function sanitizeHtml(html) {
+  const removed = new Set();
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|object|head)\b[^>]*>[\s\S]*?<\/\1>/gi, (match, tag) => {
+      removed.add(tag.toLowerCase());
+      return '';
+    });
+
+  const open = [];
+  let output = '';
+  let last = 0;
+
+  for (const match of cleaned.matchAll(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi)) {
+    output += escapeText(cleaned.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const [, closing, tagName, attributes] = match;
+    const tag = tagName.toLowerCase();
+
+    if (!ALLOWED_TAGS.includes(tag)) {
+      removed.add(tag);
+      continue;
+    }
+    if (tag === 'br') {
+      if (!closing) output += '<br>';
+      continue;
+    }
+    if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      while (open.length > index) output += `</${open.pop()}>`;
+      continue;
+    }
+    // <li> and <p> end at the next one, as in the browser
+    if ((tag === 'li' || tag === 'p') && open.at(-1) === tag) {
+      output += `</${open.pop()}>`;
+    }
+    if (tag === 'a') {
+      const href = attributes.match(/href\s*=\s*(["'])(.*?)\1/i)?.[2];
+      if (!href || !/^(https?:|mailto:)/i.test(href)) {
+        removed.add('a');
+        continue;
+      }
+      output += `<a href="${href.replace(/"/g, '&quot;')}">`;
+    } else {
+      output += `<${tag}>`;
+    }
+    open.push(tag);
+  }
+
+  output += escapeText(cleaned.slice(last));
+  while (open.length > 0) output += `</${open.pop()}>`;
+
+  return { html: output.trim(), removed: [...removed] };
+}
+
+/**
+ * Value of a written amount in cents: "102.500,50", "102,500.50", "1500"
+ */
+function amountInCents(text) {
+  const compact = text.replace(/\s/g, '');
+  const separators = compact.match(/[.,]/g) || [];
+  let normalized = compact;
+
+  if (separators.length > 0) {
+    const lastSeparator = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+    const decimals = compact.length - lastSeparator - 1;
+    // A single group of three digits after the last separator is a thousands group
+    const isDecimal = decimals !== 3 || (separators.length > 1 && new Set(separators).size > 1);
+    normalized = isDecimal
+      ? `${compact.slice(0, lastSeparator).replace(/[.,]/g, '')}.${compact.slice(lastSeparator + 1)}`
+      : compact.replace(/[.,]/g, '');
+  }
+
+  return Math.round(Number(normalized) * 100);
+}
+
+function datesIn(text) {
+  const dates = [];
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const [year, month, day] = parts(match).map(Number);
+      if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+        dates.push({ text: match[0], key: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}` });
+      }
+    }
+  }
+  return dates;
+}
+
+/**
+ * Euro amounts and dates in the output that are not in the sources
+ */
+export function findUnsupportedFacts(html, sources) {
+  const output = toPlainText(html);
+  const source = toPlainText(sources.filter(Boolean).join('\n')).replace(/&euro;/g, '€');
+
+  const knownAmounts = new Set([...source.matchAll(NUMBER)].map(match => amountInCents(match[0])));
+  const knownDates = new Set(datesIn(source).map(date => date.key));
+
+  const amounts = [...output.matchAll(AMOUNT)]
+    .filter(match => !knownAmounts.has(amountInCents(match[1] || match[2])))
+    .map(match => match[0].trim());
+  const dates = datesIn(output)
+    .filter(date => !knownDates.has(date.key))
+    .map(date => date.text);
+
+  return { amounts: [...new Set(amounts)], dates: [...new Set(dates)] };
+}
+
+/**
+ * Number of <li> items in the first <ol>, or null without an <ol>
+ */
+function orderedListSteps(html) {
+  const list = html.match(/<ol>([\s\S]*?)<\/ol>/i);
+  return list ? (list[1].match(/<li>/gi) || []).length : null;
+}
+
+/**
+ * Clean generated output and check it
+ *
+ * `sources` are the texts the model was given; `requireSteps` checks the
+ * five-step <ol> of the welcome email. Returns { html, fixes, problems }.
+ */
+export function applyGuardrails(text, { sources = [], requireSteps = false } = {}) {
+  const fixes = [];
+  let html = String(text || '');
+
+  const unfenced = stripCodeFences(html);
+  if (unfenced !== html.trim()) fixes.push('code fences removed');
+
+  const unsigned = stripSignature(unfenced);
+  if (unsigned !== unfenced) fixes.push('signature removed');
+
+  const sanitized = sanitizeHtml(unsigned);
+  if (sanitized.removed.length > 0) fixes.push(`tags removed: ${sanitized.removed.join(', ')}`);
+  html = sanitized.html;
+
+  const problems = [];
+  if (!toPlainText(html)) {
+    problems.push('output is empty');
+  }
+
+  const unsupported = findUnsupportedFacts(html, sources);
+  unsupported.amounts.forEach(amount => problems.push(`amount ${amount} is not in the data`));
+  unsupported.dates.forEach(date => problems.push(`date ${date} is not in the data`));
+
+  if (requireSteps) {
+    const steps = orderedListSteps(html);
+    if (steps === null) problems.push(`no <ol> with the ${WELCOME_STEPS} steps`);
+    else if (steps !== WELCOME_STEPS) problems.push(`<ol> has ${steps} steps instead of ${WELCOME_STEPS}`);
+  }
+
+  return { html, fixes, problems };
+}
+
+/**
+ * Generate output and apply the guardrails, regenerating while there are
+ * problems (at most GUARDRAIL_MAX_ATTEMPTS generations)
+ *
+ * `generate` returns { body, sourceText, ... } (see ai.js); `output` names
+ * the kind of output in logs and metrics. Returns the last generation with
+ * the cleaned body and { fixes, problems, attempts }; `problems` is empty
+ * when it passed.
+ */
+export async function generateWithGuardrails(output, generate, { requireSteps = false } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const generated = await generate();
+    const checked = applyGuardrails(generated.body, { sources: [generated.sourceText], requireSteps });
+
+    if (checked.fixes.length > 0) {
+      logger.info('Guardrails cleaned generated output', { output, attempt, fixes: checked.fixes });
+    }
+
+    if (checked.problems.length === 0 || attempt >= CONFIG.guardrailMaxAttempts) {
+      const outcome = checked.problems.length > 0 ? 'failed' : attempt > 1 ? 'regenerated' : 'passed';
+      guardrailOutcomes.inc({ output, outcome });
+      if (outcome === 'failed') {
+        logger.warn('Generated output failed guardrails', { output, attempts: attempt, problems: checked.problems });
+      }
+      return { ...generated, body: checked.html, fixes: checked.fixes, problems: checked.problems, attempts: attempt };
+    }
+
+    logger.warn('Generated output failed guardrails - regenerating', { output, attempt, problems: checked.problems });
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Conversation History
+ *
+ * Builds the conversation history sent with draft requests:
+ * - HTML is converted to plain text, and quoted earlier messages ("Op ...
+ *   schreef ...:", blockquotes, "> " lines, Outlook headers) are removed
+ * - Tokens are counted per message against HISTORY_MAX_TOKENS
+ * - When the history is too large, the older messages are replaced by a
+ *   rolling summary; the latest customer message (and anything after it)
+ *   is always kept in full
+ *
+ * Summaries are cached per conversation in DATA_DIR/history-summaries.json.
+ * A new summary extends the cached one with the messages after it, and
+ * leaves room for several more replies before it has to be extended again.
+ */
+
+import { summarizeHistory } from './ai.js';
+import { CONFIG } from './config.js';
+import { toPlainText } from './intent-rules.js';
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+import { getTaskSettings } from './llm-tasks.js';
+
+// A new summary leaves the recent messages at most this share of the budget
+const SUMMARY_HEADROOM = 0.5;
+
+const TOKEN_PIECES = /\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu;
+
+const REPLY_HEADERS = [
+  /^(op|on)\s.{4,200}\s(schreef|wrote)\b.{0,120}:\s*$/i,
+  /^-{2,}\s*(original message|oorspronkelijk bericht|forwarded message|doorgestuurd bericht)/i,
+  /^_{10,}\s*$/
+];
+const OUTLOOK_FROM = /^(from|van):\s/i;
+const OUTLOOK_FIELD = /^(sent|verzonden|date|datum|to|aan|subject|onderwerp):\s/i;
+
+/**
+ * Estimated token count of a text
+ *
+ * Words count one token per four letters, numbers one per three digits and
+ * every punctuation mark one token: close to the OpenAI tokenizers for Dutch
+ * and English mail, and on the safe side for long words and amounts.
+ */
+export function countTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text || '').matchAll(TOKEN_PIECES)) {
+    if (/^\p{L}/u.test(piece)) tokens += Math.ceil(piece.length / 4);
+    else if (/^\p{N}/u.test(piece)) tokens += Math.ceil(piece.length / 3);
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&euro;/g, '€');
+}
+
+/**
+ * Plain text of a message without the earlier messages it quotes
+ */
+export function cleanMessageBody(body) {
+  let html = String(body || '')
+    .replace(/<(style|script|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Mail clients put the quoted message (with its "On ... wrote:" line) in these
+    .replace(/<div[^>]*class="[^"]*gmail_quote[\s\S]*$/i, '')
+    .replace(/<div[^>]*id="(appendonsend|divRplyFwdMsg)"[\s\S]*$/i, '');
+
+  // Innermost first, so nested quotes are removed completely
+  const blockquote = /<blockquote\b[^>]*>(?:(?!<blockquote\b)[\s\S])*?<\/blockquote>/gi;
+  while (blockquote.test(html)) {
+    html = html.replace(blockquote, '');
+  }
+
+  const lines = decodeEntities(toPlainText(html)).split('\n').map(line => line.trim());
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (REPLY_HEADERS.some(pattern => pattern.test(line))) break;
+    if (OUTLOOK_FROM.test(line) && lines.slice(i + 1, i + 4).some(next => OUTLOOK_FIELD.test(next))) break;
+    if (line.startsWith('>')) continue;
+    kept.push(line);
+  }
+
+  const cleaned = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  // A message that is only a quote still says something; keep its text then
+  return cleaned || decodeEntities(toPlainText(body));
+}
+
+/**
+ * Messages of a conversation in order: { id, role, text, tokens }
+ */
+function historyEntries(conversation) {
+  return (conversation._embedded?.threads || [])
+    .filter(t => t.type === 'customer' || t.type === 'message' || t.type === 'reply')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(t => {
+      const role = t.type === 'customer' ? 'Customer' : 'Agent';
+      const text = `[${role}]: ${cleanMessageBody(t.body)}`;
+      return { id: t.id, role, text, tokens: countTokens(text) };
+    })
+    .filter(entry => entry.text.length > `[${entry.role}]: `.length);
+}
+
+/**
+ * Index of the oldest message that still fits when messages are added
+ * newest first, starting just before `end`; `from` is the oldest candidate
+ */
+function oldestFitting(entries, from, end, budget) {
+  let used = 0;
+  let index = end;
+  while (index > from && used + entries[index - 1].tokens <= budget) {
+    index -= 1;
+    used += entries[index].tokens;
+  }
+  return index;
+}
+
+let summaryStore = null;
+
+/**
+ * Cached rolling summaries in DATA_DIR/history-summaries.json
+ */
+export function getSummaryStore() {
+  summaryStore ??= createJsonStore('history-summaries');
+  return summaryStore;
+}
+
+/**
+ * Build the history for a draft request
+ *
+ * Returns { text, tokens, messages, summarized, summary, latestCustomerMessage }
+ * where `summarized` is the number of older messages covered by `summary`
+ * ({ text, tokens, prompt, updated_at } or null).
+ */
+export async function buildConversationHistory(conversation, { maxTokens = CONFIG.historyMaxTokens } = {}) {
+  const conversationId = String(conversation.id);
+  const entries = historyEntries(conversation);
+
+  // The latest customer message and anything after it are always kept
+  const customerIndexes = entries.map((entry, index) => (entry.role === 'Customer' ? index : -1)).filter(index => index >= 0);
+  const pinnedFrom = customerIndexes.length > 0 ? customerIndexes.at(-1) : Math.max(0, entries.length - 1);
+  const pinnedTokens = entries.slice(pinnedFrom).reduce((sum, entry) => sum + entry.tokens, 0);
+
+  if (pinnedTokens > maxTokens) {
+    logger.warn('Latest customer message exceeds the history budget - kept in full', { tokens: pinnedTokens, max_tokens: maxTokens });
+  }
+
+  const store = getSummaryStore();
+  let cached = store.get(conversationId) || null;
+  let coveredUntil = cached ? entries.findIndex(entry => entry.id === cached.covered_thread_id) : -1;
+
+  // Threads were deleted or the cache covers the pinned messages: start over
+  if (cached && (coveredUntil === -1 || coveredUntil >= pinnedFrom)) {
+    cached = null;
+    coveredUntil = -1;
+  }
+
+  const start = coveredUntil + 1;
+  const budget = maxTokens - pinnedTokens - (cached?.tokens || 0);
+  let keepFrom = oldestFitting(entries, start, pinnedFrom, Math.max(0, budget));
+  let summary = cached;
+
+  if (keepFrom > start) {
+    // Leave room for later replies, so the summary is not rebuilt for every one of them
+    const summaryTokens = getTaskSettings('summary').max_tokens;
+    const headroomBudget = Math.floor(maxTokens * SUMMARY_HEADROOM) - pinnedTokens - summaryTokens;
+    keepFrom = Math.max(keepFrom, oldestFitting(entries, start, pinnedFrom, Math.max(0, headroomBudget)));
+
+    const older = entries.slice(start, keepFrom);
+    const result = await summarizeHistory(cached?.text || '', older.map(entry => entry.text).join('\n\n'));
+
+    summary = {
+      text: result.summary,
+      tokens: countTokens(result.summary),
+      covered_thread_id: entries[keepFrom - 1].id,
+      covered_threads: keepFrom,
+      prompt: result.prompt,
+      updated_at: new Date().toISOString()
+    };
+    store.set(conversationId, summary);
+
+    logger.info('History summary updated', {
+      summarized: older.length,
+      covered_threads: keepFrom,
+      summary_tokens: summary.tokens,
+      extended: !!cached
+    });
+  }
+
+  const kept = entries.slice(keepFrom);
+  const parts = kept.map(entry => entry.text);
+  if (summary) {
+    parts.unshift(`[Summary of ${summary.covered_threads} earlier messages]: ${summary.text}`);
+  }
+
+  const text = parts.join('\n\n');
+  const latestCustomer = customerIndexes.length > 0 ? entries[customerIndexes.at(-1)] : null;
+
+  return {
+    text,
+    tokens: countTokens(text),
+    messages: kept.length,
+    summarized: summary ? summary.covered_threads : 0,
+    summary,
+    latestCustomerMessage: latestCustomer ? latestCustomer.text.replace(/^\[Customer\]: /, '') : ''
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Rule-Based Intent Pre-Classifier
+ *
+ * Keyword and regex rules per intent (Dutch and English) that run before the
+ * LLM. Rules are read from INTENT_RULES_FILE (default config/intent-rules.json)
+ * and validated at startup.
+ *
+ * - A match is ignored when a negation ("niet", "geen", "not", ...) stands
+ *   just before or after it in the same clause ("ik heb nog niet betaald"),
+ *   when that clause is a question ("is het al betaald?"), or when the
+ *   clause has one of the rule's exclusions ("de aanslag is betaald")
+ * - The result is certain when every matched intent comes from a rule with
+ *   confidence >= INTENT_RULE_MIN_CONFIDENCE, no conflicting intents matched
+ *   (e.g. Klant_Weigert together with Klant_Wil_Doorgaan), no match was
+ *   ignored and the message has no question marker ("vraag", "wanneer",
+ *   ...); the LLM call is then skipped. A message that says more than the
+ *   rules recognise ("ik heb betaald en heb nog een vraag") goes to the LLM.
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { INTENTS } from './intents.js';
+import { logger } from './logger.js';
+
+const PREFIX_WORDS = 4;
+const SUFFIX_WORDS = 2;
+const CLAUSE_BOUNDARY = /[.!?;,:\n]/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match that also works for accented letters (geüpload)
+function wordRegExp(phrase, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, flags);
+}
+
+/**
+ * Strip HTML and normalize whitespace so rules see plain text
+ */
+export function toPlainText(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read and validate the rules file; throws on invalid rules so a bad
+ * configuration stops the server at startup
+ */
+export function loadIntentRules(filePath = CONFIG.intentRulesFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const negations = config.negations || {};
+  const errors = [];
+
+  // Words of the rule's language, or of every language for 'any'
+  const wordsFor = (lists, language) => (language in lists ? lists[language] : Object.values(lists).flat());
+
+  const rules = (config.rules || []).map((rule, index) => {
+    const label = rule.id || `rules[${index}]`;
+
+    if (!Object.hasOwn(INTENTS, rule.intent)) {
+      errors.push(`${label}: unknown intent "${rule.intent}"`);
+    }
+    if (!(rule.confidence >= 0 && rule.confidence <= 1)) {
+      errors.push(`${label}: confidence must be between 0 and 1`);
+    }
+    if (!rule.keywords?.length && !rule.patterns?.length) {
+      errors.push(`${label}: needs keywords or patterns`);
+    }
+
+    const matchers = [
+      ...(rule.keywords || []).map(keyword => wordRegExp(keyword)),
+      ...(rule.patterns || []).flatMap(pattern => {
+        try {
+          return [new RegExp(pattern, 'giu')];
+        } catch (error) {
+          errors.push(`${label}: invalid pattern ${pattern} (${error.message})`);
+          return [];
+        }
+      })
+    ];
+
+    return {
+      id: label,
+      intent: rule.intent,
+      language: rule.language || 'any',
+      confidence: rule.confidence,
+      negatable: rule.negatable !== false,
+      matchers,
+      negationMatchers: wordsFor(negations, rule.language).map(word => wordRegExp(word, 'iu')),
+      exclusionMatchers: (rule.exclusions || []).map(word => wordRegExp(word, 'iu'))
+    };
+  });
+
+  for (const pair of config.conflicts || []) {
+    pair.filter(intent => !Object.hasOwn(INTENTS, intent))
+      .forEach(intent => errors.push(`conflicts: unknown intent "${intent}"`));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid intent rules in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    rules,
+    conflicts: config.conflicts || [],
+    questionMatchers: wordsFor(config.question_markers || {}, 'any').map(word => wordRegExp(word, 'iu'))
+  };
+}
+
+/**
+ * Clause around a match: from the previous to the next clause boundary,
+ * plus the boundary character that ends it
+ */
+function clauseAround(text, start, end) {
+  let clauseStart = start;
+  while (clauseStart > 0 && !CLAUSE_BOUNDARY.test(text[clauseStart - 1])) clauseStart -= 1;
+
+  let clauseEnd = end;
+  while (clauseEnd < text.length && !CLAUSE_BOUNDARY.test(text[clauseEnd])) clauseEnd += 1;
+
+  return { before: text.slice(clauseStart, start), after: text.slice(end, clauseEnd), boundary: text[clauseEnd] };
+}
+
+/**
+ * Sentence containing a match (used as excerpt)
+ */
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start);
+  const sentenceStart = Math.max(before.lastIndexOf('.'), before.lastIndexOf('!'), before.lastIndexOf('?'), before.lastIndexOf('\n')) + 1;
+  const rest = text.slice(end);
+  const endOffset = rest.search(/[.!?\n]/);
+  const sentenceEnd = endOffset === -1 ? text.length : end + endOffset + 1;
+  return text.slice(sentenceStart, sentenceEnd).trim();
+}
+
+function isExcluded(rule, { before, after }) {
+  return rule.exclusionMatchers.some(matcher => matcher.test(before) || matcher.test(after));
+}
+
+function isNegated(rule, { before, after }) {
+  const prefix = before.trim().split(/\s+/).slice(-PREFIX_WORDS).join(' ');
+  const suffix = after.trim().split(/\s+/).slice(0, SUFFIX_WORDS).join(' ');
+  return rule.negationMatchers.some(matcher => matcher.test(prefix) || matcher.test(suffix));
+}
+
+/**
+ * Run the rules against a message
+ *
+ * Returns { certain, matches, ignored, conflicts, raw } where `ignored` lists
+ * the rules whose matches were dropped and `raw` has the same shape as the
+ * LLM output ({ primary_intent, intents }) so it can go through
+ * validateIntentResult. Rules for intents outside `candidates` are skipped.
+ */
+export function classifyWithRules(ruleSet, conversationText, subject = '', candidates = null) {
+  const body = toPlainText(conversationText);
+  const text = [subject, body].filter(Boolean).join('\n');
+  const matches = [];
+  const ignored = new Set();
+
+  for (const rule of ruleSet.rules) {
+    if (candidates && !candidates.includes(rule.intent)) continue;
+
+    for (const matcher of rule.matchers) {
+      for (const match of text.matchAll(matcher)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const clause = clauseAround(text, start, end);
+
+        // "Is het al betaald?" is a question, not a payment confirmation
+        if ((rule.negatable && isNegated(rule, clause)) ||
+          (rule.intent !== 'Question' && clause.boundary === '?') ||
+          isExcluded(rule, clause)) {
+          ignored.add(rule.id);
+          continue;
+        }
+
+        matches.push({
+          rule: rule.id,
+          intent: rule.intent,
+          confidence: rule.confidence,
+          excerpt: sentenceAround(text, start, end)
+        });
+      }
+    }
+  }
+
+  // Strongest match per intent
+  const byIntent = new Map();
+  for (const match of matches) {
+    const current = byIntent.get(match.intent);
+    if (!current || match.confidence > current.confidence) byIntent.set(match.intent, match);
+  }
+  const best = [...byIntent.values()].sort((a, b) => b.confidence - a.confidence);
+
+  const conflicts = ruleSet.conflicts.filter(pair => pair.every(intent => byIntent.has(intent)));
+  // The subject ("Vraag over box 3") says little about this reply
+  const hasQuestionMarker = (ruleSet.questionMatchers || []).some(matcher => matcher.test(body));
+  const certain = best.length > 0 &&
+    conflicts.length === 0 &&
+    ignored.size === 0 &&
+    !hasQuestionMarker &&
+    best.every(match => match.confidence >= CONFIG.intentRuleMinConfidence);
+
+  return {
+    certain,
+    matches: best,
+    ignored: [...ignored],
+    conflicts,
+    raw: {
+      primary_intent: conflicts.length > 0 ? null : best[0]?.intent,
+      intents: best.map(match => ({
+        intent: match.intent,
+        confidence: match.confidence,
+        excerpt: match.excerpt,
+        rationale: `Matched rule ${match.rule}`
+      }))
+    }
+  };
+}
+
+let defaultRuleSet = null;
+
+/**
+ * Rules from INTENT_RULES_FILE, loaded once
+ */
+export function getIntentRules() {
+  if (!defaultRuleSet) {
+    defaultRuleSet = loadIntentRules();
+    logger.info('Intent rules loaded', { file: CONFIG.intentRulesFile, rules: defaultRuleSet.rules.length });
+  }
+  return defaultRuleSet;
+}
@@ -0,0 +1,91 @@
+/**
+ * Intent Tags
+ *
+ * Which tag each detected intent produces and which earlier intent tags it
+ * replaces, read from INTENT_TAGS_FILE (default config/intent-tags.json) and
+ * validated at startup. Without this a conversation collects Question,
+ * Additional_Info and Klant_Wil_Doorgaan over a few replies and the routing
+ * workflows react to all of them.
+ *
+ * - Two intents may share a tag (Klant_Weigert and CLOSED_LOST both produce
+ *   CLOSED_LOST)
+ * - Only intent tags (intent labels and mapped tags) can be replaced; other
+ *   tags such as box3 or DOCS_REQUESTED are never removed
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { INTENTS } from './intents.js';
+import { logger } from './logger.js';
+
+/**
+ * Read and validate the mapping file; throws on an invalid mapping so a bad
+ * configuration stops the server at startup
+ */
+export function loadIntentTagMap(filePath = CONFIG.intentTagsFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const mapping = config.intents || {};
+  const errors = [];
+
+  for (const intent of Object.keys(mapping)) {
+    if (!Object.hasOwn(INTENTS, intent)) errors.push(`${intent}: unknown intent`);
+  }
+  for (const intent of Object.keys(INTENTS)) {
+    if (!Object.hasOwn(mapping, intent)) errors.push(`${intent}: no tag mapped`);
+  }
+
+  // Tags that belong to intents; anything else is left alone
+  const intentTags = new Set([
+    ...Object.keys(INTENTS),
+    ...Object.values(mapping).map(entry => entry.tag).filter(Boolean)
+  ]);
+
+  const intents = {};
+  for (const [intent, entry] of Object.entries(mapping)) {
+    if (typeof entry.tag !== 'string' || !entry.tag.trim()) {
+      errors.push(`${intent}: "tag" must be a non-empty string`);
+    }
+    if (entry.replaces !== undefined && !Array.isArray(entry.replaces)) {
+      errors.push(`${intent}: "replaces" must be a list of tags`);
+    }
+
+    const replaces = Array.isArray(entry.replaces) ? entry.replaces : [];
+    replaces.filter(tag => !intentTags.has(tag))
+      .forEach(tag => errors.push(`${intent}: cannot replace "${tag}", not an intent tag`));
+
+    intents[intent] = { tag: entry.tag, replaces };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid intent tag mapping in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return { intents, intentTags };
+}
+
+/**
+ * Tags to add and remove for a set of detected intents
+ *
+ * Returns { add, remove }; a tag produced by one of the intents is never
+ * removed, so "I've paid, and I have a question" keeps both tags.
+ */
+export function resolveIntentTags(tagMap, intents) {
+  const add = [...new Set(intents.map(intent => tagMap.intents[intent].tag))];
+  const remove = [...new Set(intents.flatMap(intent => tagMap.intents[intent].replaces))]
+    .filter(tag => !add.includes(tag));
+
+  return { add, remove };
+}
+
+let defaultTagMap = null;
+
+/**
+ * Mapping from INTENT_TAGS_FILE, loaded once
+ */
+export function getIntentTagMap() {
+  if (!defaultTagMap) {
+    defaultTagMap = loadIntentTagMap();
+    logger.info('Intent tag mapping loaded', { file: CONFIG.intentTagsFile, intents: Object.keys(defaultTagMap.intents).length });
+  }
+  return defaultTagMap;
+}
@@ -0,0 +1,126 @@
+/**
+ * Intents
+ *
+ * The intent labels the classifier may return (each one is also the tag the
+ * FreeScout workflows react to) and validation of the model's structured
+ * output against that list.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Allowed intents and what they mean (used in the classifier prompt)
+ */
+export const INTENTS = {
+  Nieuwe_Aanvraag: 'New inquiry, first contact, asking about services',
+  Klant_Wil_Doorgaan: 'Customer accepts proposal, wants to proceed, agrees to pricing',
+  Klant_Weigert: 'Customer declines service, not interested, too expensive, "ik wil niet verder"',
+  Payment_Confirmed: 'Customer confirms payment was made (keywords: betaald, betaling, paid, overgemaakt)',
+  DOCS_RECEIVED: 'Customer uploaded documents (detected by attachment presence)',
+  Proposal_Accepted: 'Customer accepts a specific proposal option (akkoord, accept, ga ermee akkoord)',
+  QUESTIONS_ANSWERED: 'Customer answered additional questions from Email 3',
+  Additional_Info: 'Customer is providing additional information',
+  CLOSED_LOST: "Customer explicitly states they don't want to continue",
+  Question: 'Customer has questions about the process or service'
+};
+
+/**
+ * Tag added when the intent could not be determined reliably
+ */
+export const NEEDS_REVIEW_TAG = 'NEEDS_REVIEW';
+
+/**
+ * Intent list for the classifier prompt, optionally limited to candidates
+ */
+export function formatIntentsForPrompt(candidates = null) {
+  return Object.entries(INTENTS)
+    .filter(([intent]) => !candidates || candidates.includes(intent))
+    .map(([intent, description]) => `- ${intent}: ${description}`)
+    .join('\n');
+}
+
+const MAX_EXCERPT_LENGTH = 300;
+
+function trimmedString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validate one intent entry of the classifier's output
+ *
+ * Returns { intent, confidence, excerpt, rationale, problem }; `problem` is
+ * null for an accepted entry, otherwise the reason it was rejected.
+ */
+function validateIntentEntry(raw, candidates) {
+  const label = trimmedString(raw?.intent);
+  const confidence = Number(raw?.confidence);
+  const entry = {
+    intent: label || null,
+    confidence: Number.isFinite(confidence) ? confidence : 0,
+    excerpt: trimmedString(raw?.excerpt).substring(0, MAX_EXCERPT_LENGTH),
+    rationale: trimmedString(raw?.rationale),
+    problem: null
+  };
+
+  if (!label) {
+    entry.problem = 'no intent returned';
+  } else if (!Object.hasOwn(INTENTS, label)) {
+    entry.problem = `unknown intent "${label}"`;
+  } else if (candidates && !candidates.includes(label)) {
+    entry.problem = 'not a candidate in the current lifecycle stage';
+  } else if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    entry.problem = 'invalid confidence score';
+  } else if (confidence < CONFIG.intentMinConfidence) {
+    entry.problem = `confidence ${confidence.toFixed(2)} below ${CONFIG.intentMinConfidence}`;
+  }
+
+  return entry;
+}
+
+/**
+ * Validate the classifier's JSON output:
+ * { primary_intent, intents: [{ intent, confidence, excerpt, rationale }] }
+ *
+ * Returns:
+ * - intent / confidence / rationale: the primary intent (used for routing)
+ * - intents: every accepted intent, primary first
+ * - rejected: entries with an unknown label or too low confidence
+ * - needsReview / reviewReason: set when no intent or the primary intent was rejected
+ *
+ * `candidates` limits the accepted intents (e.g. to the lifecycle stage).
+ */
+export function validateIntentResult(raw, candidates = null) {
+  const entries = (Array.isArray(raw?.intents) ? raw.intents : []).map(raw => validateIntentEntry(raw, candidates));
+
+  // One entry per intent; keep the most confident
+  const accepted = [];
+  for (const entry of entries.filter(e => !e.problem).sort((a, b) => b.confidence - a.confidence)) {
+    if (!accepted.some(e => e.intent === entry.intent)) accepted.push(entry);
+  }
+  const rejected = entries.filter(e => e.problem);
+
+  const primaryLabel = trimmedString(raw?.primary_intent);
+  let primary = accepted.find(e => e.intent === primaryLabel) || null;
+  let reviewReason = null;
+
+  if (accepted.length === 0) {
+    reviewReason = rejected[0]?.problem || 'no intent returned';
+  } else if (primaryLabel && !primary) {
+    const rejectedPrimary = rejected.find(e => e.intent === primaryLabel);
+    reviewReason = `primary intent ${primaryLabel}: ${rejectedPrimary?.problem || 'not among the detected intents'}`;
+  } else if (!primary) {
+    primary = accepted[0];
+  }
+
+  const intents = primary ? [primary, ...accepted.filter(e => e !== primary)] : accepted;
+
+  return {
+    intent: primary?.intent || null,
+    confidence: primary?.confidence ?? 0,
+    rationale: primary?.rationale || '',
+    intents: intents.map(({ problem, ...entry }) => entry),
+    rejected,
+    needsReview: reviewReason !== null,
+    reviewReason
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Background Job Queue
+ *
+ * Persistent in-process job queue for webhook events. The webhook route
+ * enqueues a job and answers 202 immediately; a local worker picks jobs up
+ * one at a time, runs the handler and retries failures with exponential
+ * backoff. Jobs are stored in a JSON file store, so queued and interrupted
+ * jobs are picked up again after a restart.
+ *
+ * Job lifecycle: queued → running → completed | failed | deferred
+ * (a failed attempt with attempts left goes back to queued with a later runAt)
+ *
+ * A retry runs the whole handler again. Handlers record the steps that must
+ * not be repeated (e.g. an email that went out) with the `steps` they are
+ * given; finished steps are kept on the job and skipped by later attempts.
+ *
+ * A RetryLaterError (see retry-delay.js) queues the job again at its
+ * `retryAt`, without using up an attempt.
+ *
+ * Jobs whose error matches `shouldDefer` (e.g. OpenAI circuit open) are parked
+ * as deferred without using up an attempt. They are released again as soon
+ * as `deferredCapacity` allows it (e.g. when OpenAI has recovered).
+ *
+ * The payload (the full conversation) is dropped once a job has finished; a
+ * job that failed permanently keeps it in the dead-letter store instead.
+ */
+
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+import { getLogContext, logger, withLogContext } from './logger.js';
+import { webhookEvents } from './metrics.js';
+import { RetryLaterError } from './retry-delay.js';
+
+/**
+ * Error that should fail a job immediately instead of being retried
+ * (e.g. the payload can never be processed)
+ */
+export class NonRetryableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NonRetryableError';
+  }
+}
+
+/**
+ * Steps a handler finished, kept across the attempts of a job
+ *
+ * `finished` maps step names to what the step recorded; `save` is called
+ * with all finished steps after each one. Without arguments (a handler
+ * called outside the queue) nothing is kept.
+ */
+export function createJobSteps(finished = {}, save = () => {}) {
+  const steps = { ...finished };
+  return {
+    isDone: name => Object.hasOwn(steps, name),
+    get: name => steps[name],
+    complete(name, value = true) {
+      steps[name] = value;
+      save({ ...steps });
+    }
+  };
+}
+
+/**
+ * Strip the payload from a job for API responses
+ */
+export function describeJob(job) {
+  if (!job) return null;
+  const { payload, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Create a job queue
+ *
+ * Options:
+ * - handler: async (job, steps) => result, runs one job (see createJobSteps)
+ * - maxAttempts: attempts before a job is marked failed
+ * - baseDelayMs: first retry delay, doubled on every attempt
+ * - maxDelayMs: upper bound for the retry delay
+ * - pollIntervalMs: how often the worker looks for due jobs
+ * - retentionHours: how long finished jobs are kept for GET /jobs/:id
+ * - shouldDefer: (error) => boolean, park the job instead of retrying
+ * - deferredCapacity: () => number of deferred jobs that may be released now
+ * - onCompleted: (job, result) => void, called when a job completes
+ * - onFailed: (job, error) => void, called when a job fails permanently
+ */
+export function createJobQueue({
+  handler,
+  maxAttempts = 5,
+  baseDelayMs = 5000,
+  maxDelayMs = 10 * 60 * 1000,
+  pollIntervalMs = 1000,
+  retentionHours = 72,
+  shouldDefer = () => false,
+  deferredCapacity = () => 0,
+  onCompleted = () => {},
+  onFailed = () => {}
+}) {
+  const store = createJsonStore('jobs');
+  let timer = null;
+  let busy = false;
+
+  // Jobs that were running when the process stopped are queued again
+  for (const job of store.values()) {
+    if (job.status === 'running') {
+      store.set(job.id, { ...job, status: 'queued', runAt: Date.now() });
+    }
+  }
+
+  function retryDelay(attempts) {
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  }
+
+  function nextDueJob() {
+    const now = Date.now();
+    return store.values()
+      .filter(job => job.status === 'queued' && job.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt)[0];
+  }
+
+  function releaseDeferred() {
+    const capacity = deferredCapacity();
+    if (capacity <= 0) return;
+
+    const deferred = store.values()
+      .filter(job => job.status === 'deferred')
+      .sort((a, b) => a.runAt - b.runAt);
+
+    for (const job of deferred.slice(0, capacity)) {
+      store.set(job.id, { ...job, status: 'queued', runAt: Date.now(), updatedAt: new Date().toISOString() });
+      logger.info('Job released from deferred queue', { jobId: job.id, event: job.event, conversationId: job.conversation_id });
+    }
+  }
+
+  function pruneFinished() {
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    store.deleteWhere(job =>
+      (job.status === 'completed' || job.status === 'failed') &&
+      new Date(job.updatedAt).getTime() < cutoff
+    );
+  }
+
+  // A failing hook must not change the outcome of the job
+  function notify(hook, ...args) {
+    try {
+      hook(...args);
+    } catch (error) {
+      logger.error('Job hook failed', { error });
+    }
+  }
+
+  async function runJob(job) {
+    const attempts = job.attempts + 1;
+    store.set(job.id, { ...job, status: 'running', attempts, updatedAt: new Date().toISOString() });
+
+    logger.info('Job started', { attempt: attempts, max_attempts: job.maxAttempts });
+
+    try {
+      const steps = createJobSteps(job.steps, finished => {
+        store.set(job.id, { ...store.get(job.id), steps: finished });
+      });
+      const result = await handler(store.get(job.id), steps);
+
+      store.set(job.id, {
+        ...store.get(job.id),
+        status: 'completed',
+        result,
+        payload: null,
+        lastError: null,
+        updatedAt: new Date().toISOString(),
+        completedAt: new Date().toISOString()
+      });
+
+      webhookEvents.inc({ event: job.event, outcome: 'completed' });
+      logger.info('Job completed');
+      notify(onCompleted, store.get(job.id), result);
+    } catch (error) {
+      if (shouldDefer(error)) {
+        store.set(job.id, {
+          ...store.get(job.id),
+          status: 'deferred',
+          attempts: job.attempts,
+          lastError: error.message,
+          updatedAt: new Date().toISOString()
+        });
+
+        webhookEvents.inc({ event: job.event, outcome: 'deferred' });
+        logger.warn('Job deferred', { reason: error.message });
+        return;
+      }
+
+      if (error instanceof RetryLaterError) {
+        store.set(job.id, {
+          ...store.get(job.id),
+          status: 'queued',
+          attempts: job.attempts,
+          runAt: error.retryAt,
+          lastError: error.message,
+          updatedAt: new Date().toISOString()
+        });
+
+        webhookEvents.inc({ event: job.event, outcome: 'deferred' });
+        logger.warn('Job rescheduled', { reason: error.message, run_at: new Date(error.retryAt).toISOString() });
+        return;
+      }
+
+      const retryable = !(error instanceof NonRetryableError) && attempts < job.maxAttempts;
+      const delay = retryDelay(attempts);
+
+      store.set(job.id, {
+        ...store.get(job.id),
+        status: retryable ? 'queued' : 'failed',
+        runAt: retryable ? Date.now() + delay : job.runAt,
+        lastError: error.message,
+        updatedAt: new Date().toISOString()
+      });
+
+      webhookEvents.inc({ event: job.event, outcome: retryable ? 'retried' : 'failed' });
+      if (retryable) {
+        logger.warn('Job failed - retrying', { attempt: attempts, retry_in_ms: delay, error });
+      } else {
+        logger.error('Job failed permanently', { attempts, error });
+        notify(onFailed, store.get(job.id), error);
+        store.set(job.id, { ...store.get(job.id), payload: null });
+      }
+    }
+  }
+
+  async function tick() {
+    if (busy) return;
+    busy = true;
+
+    try {
+      releaseDeferred();
+
+      let job = nextDueJob();
+      while (job) {
+        // Log lines from the handler carry the correlation ID of the original request
+        await withLogContext({
+          correlationId: job.correlationId,
+          conversationId: job.conversation_id,
+          event: job.event,
+          jobId: job.id
+        }, () => runJob(job));
+        job = nextDueJob();
+      }
+      pruneFinished();
+    } catch (error) {
+      logger.error('Job worker error', { error });
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    /**
+     * Add a job to the queue and return its record
+     */
+    enqueue(event, payload, metadata = {}) {
+      const now = new Date();
+      const job = {
+        id: crypto.randomUUID(),
+        event,
+        conversation_id: payload?.id ?? null,
+        correlationId: getLogContext().correlationId || null,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts,
+        runAt: now.getTime(),
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        result: null,
+        lastError: null,
+        ...metadata,
+        payload
+      };
+
+      store.set(job.id, job);
+      logger.info('Job queued', { jobId: job.id, event });
+
+      // Run right away instead of waiting for the next poll
+      setImmediate(tick);
+      return job;
+    },
+
+    get(id) {
+      return store.get(id);
+    },
+
+    /**
+     * Check the deferred queue right away (e.g. when a dependency recovered)
+     */
+    resumeDeferred() {
+      setImmediate(tick);
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, pollIntervalMs);
+      timer.unref();
+      setImmediate(tick);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    stats() {
+      const counts = { queued: 0, running: 0, deferred: 0, completed: 0, failed: 0 };
+      for (const job of store.values()) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+      return counts;
+    }
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistent key/value store backed by a single JSON file.
+ * Used for server state that must survive a restart (Railway redeploys),
+ * such as processed webhook deliveries.
+ *
+ * Writes go to a temporary file first and are then renamed over the
+ * original, so a crash mid-write never leaves a truncated store behind.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Open (or create) a store at DATA_DIR/<name>.json
+ */
+export function createJsonStore(name) {
+  const filePath = path.join(CONFIG.dataDir, `${name}.json`);
+  let records = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Could not read store, starting empty', { file: filePath, error });
+    records = {};
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    get(key) {
+      return records[key];
+    },
+
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(records, key);
+    },
+
+    set(key, value) {
+      records[key] = value;
+      persist();
+      return value;
+    },
+
+    delete(key) {
+      if (!this.has(key)) return false;
+      delete records[key];
+      persist();
+      return true;
+    },
+
+    entries() {
+      return Object.entries(records);
+    },
+
+    values() {
+      return Object.values(records);
+    },
+
+    /**
+     * Remove every record matching the predicate in a single write
+     */
+    deleteWhere(predicate) {
+      const keys = Object.keys(records).filter(key => predicate(records[key], key));
+      if (keys.length === 0) return 0;
+      keys.forEach(key => delete records[key]);
+      persist();
+      return keys.length;
+    }
+  };
+}
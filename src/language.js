@@ -0,0 +1,186 @@
+/**
+ * Reply Language
+ *
+ * The language of a reply is detected from the customer's own messages
+ * (quoted text removed, see history.js), because FreeScout's locale is often
+ * wrong for English-speaking expats:
+ * - Each message is scored on common words of Dutch, English, German and
+ *   French; the latest messages count first
+ * - A detection below LANGUAGE_MIN_CONFIDENCE falls back to the language
+ *   stored on the conversation, then the conversation locale, then Dutch
+ * - The result is stored per conversation in DATA_DIR, so a short reply
+ *   ("ok, thanks") keeps the language, and in the custom field
+ *   LANGUAGE_FIELD_ID when set, so agents see it
+ *
+ * Fixed templates exist in fewer languages; templateLanguage() picks
+ * TEMPLATE_FALLBACK_LANGUAGE for the rest and logs that it did.
+ */
+
+import { CONFIG } from './config.js';
+import { getCustomFieldValue } from './custom-fields.js';
+import { updateCustomFields } from './freescout.js';
+import { cleanMessageBody } from './history.js';
+import { createJsonStore } from './json-store.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_LANGUAGE = 'nl';
+
+// Languages the reply can be written in (see the language names in ai.js)
+export const SUPPORTED_LANGUAGES = ['nl', 'en', 'de', 'fr'];
+
+// Frequent words that (nearly) only occur in one of the languages
+const COMMON_WORDS = {
+  nl: ['het', 'een', 'ik', 'niet', 'wat', 'met', 'voor', 'op', 'zijn', 'heb', 'heeft', 'dat', 'maar', 'ook', 'bij', 'naar', 'kan', 'graag', 'wij', 'jullie', 'deze', 'mijn', 'bedankt', 'hoe', 'wel', 'nog', 'geen', 'moet', 'wil', 'dit', 'aan', 'om', 'er', 'u', 'uw', 'jaar'],
+  en: ['the', 'and', 'you', 'your', 'are', 'have', 'has', 'not', 'what', 'with', 'for', 'on', 'that', 'but', 'also', 'at', 'to', 'can', 'please', 'this', 'my', 'thanks', 'thank', 'how', 'would', 'will', 'of', 'be', 'do', 'it', 'there', 'about', 'i', 'year'],
+  de: ['der', 'das', 'und', 'ich', 'sie', 'nicht', 'ist', 'mit', 'für', 'auf', 'ein', 'eine', 'haben', 'habe', 'wir', 'bitte', 'danke', 'mein', 'meine', 'auch', 'aber', 'können', 'sehr', 'zu', 'den', 'dem', 'sind', 'noch', 'jahr'],
+  fr: ['le', 'la', 'les', 'et', 'je', 'vous', 'votre', 'pas', 'est', 'avec', 'pour', 'sur', 'un', 'une', 'ai', 'nous', 'merci', 'mon', 'ma', 'mes', 'aussi', 'mais', 'comment', 'que', 'qui', 'très', 'du', 'sont', 'bonjour', 'année']
+};
+
+const WORD_LANGUAGES = new Map();
+for (const [language, words] of Object.entries(COMMON_WORDS)) {
+  words.forEach(word => WORD_LANGUAGES.set(word, language));
+}
+
+// Below this many common words a detection cannot reach full confidence
+const FULL_CONFIDENCE_HITS = 4;
+
+// Latest customer text that is scored
+const MAX_DETECTION_CHARS = 2000;
+
+/**
+ * Detect the language of a text
+ *
+ * Returns { language, confidence, scores } where `confidence` (0-1) is the
+ * share of the winning language among the recognized words, lowered for
+ * short texts; `language` is null when no common word was found.
+ */
+export function detectLanguage(text) {
+  const scores = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+
+  for (const [word] of String(text || '').toLowerCase().matchAll(/\p{L}+/gu)) {
+    const language = WORD_LANGUAGES.get(word);
+    if (language) scores[language] += 1;
+  }
+
+  const [[language, hits], [, runnerUp]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+  if (hits === 0) {
+    return { language: null, confidence: 0, scores };
+  }
+
+  const share = hits / total;
+  const length = Math.min(1, hits / FULL_CONFIDENCE_HITS);
+  const confidence = hits === runnerUp ? 0 : Math.round(share * length * 100) / 100;
+
+  return { language, confidence, scores };
+}
+
+/**
+ * Customer messages of a conversation as plain text, latest first
+ */
+function customerText(conversation) {
+  const text = (conversation._embedded?.threads || [])
+    .filter(t => t.type === 'customer')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(t => cleanMessageBody(t.body))
+    .join('\n\n');
+  return text.slice(0, MAX_DETECTION_CHARS);
+}
+
+function normalizeLocale(locale) {
+  return locale ? String(locale).slice(0, 2).toLowerCase() : null;
+}
+
+let languageStore = null;
+
+/**
+ * Reply languages per conversation in DATA_DIR/conversation-languages.json
+ */
+export function getLanguageStore() {
+  languageStore ??= createJsonStore('conversation-languages');
+  return languageStore;
+}
+
+/**
+ * Language stored for a conversation: the custom field when configured and
+ * filled in (an agent may have corrected it), the local store otherwise
+ */
+function storedLanguage(conversation) {
+  const field = CONFIG.languageFieldId ? normalizeLocale(getCustomFieldValue(conversation, CONFIG.languageFieldId)) : null;
+  return field || getLanguageStore().get(String(conversation.id))?.language || null;
+}
+
+/**
+ * Decide the reply language of a conversation
+ *
+ * Returns { language, source, confidence, detected } where `source` is
+ * 'detected', 'stored', 'locale' or 'default' and `detected` the detected
+ * language (also when its confidence was too low).
+ */
+export function resolveLanguage(conversation) {
+  const detection = detectLanguage(customerText(conversation));
+  const stored = storedLanguage(conversation);
+  const locale = normalizeLocale(conversation.locale);
+
+  let result;
+  if (detection.language && detection.confidence >= CONFIG.languageMinConfidence) {
+    result = { language: detection.language, source: 'detected' };
+  } else if (stored && SUPPORTED_LANGUAGES.includes(stored)) {
+    result = { language: stored, source: 'stored' };
+  } else if (locale && SUPPORTED_LANGUAGES.includes(locale)) {
+    result = { language: locale, source: 'locale' };
+  } else {
+    if (locale) {
+      logger.warn('Conversation locale is not a supported reply language - using the default', { locale, fallback: DEFAULT_LANGUAGE });
+    }
+    result = { language: DEFAULT_LANGUAGE, source: 'default' };
+  }
+
+  logger.info('Reply language resolved', {
+    ...result,
+    confidence: detection.confidence,
+    detected: detection.language,
+    locale
+  });
+
+  return { ...result, confidence: detection.confidence, detected: detection.language };
+}
+
+/**
+ * Store the reply language of a conversation in the local store and, when
+ * LANGUAGE_FIELD_ID is set, in that custom field; returns whether anything
+ * changed. A failing field update is logged and does not stop the handler.
+ */
+export async function storeLanguage(conversation, language) {
+  const store = getLanguageStore();
+  const key = String(conversation.id);
+  let changed = false;
+
+  if (store.get(key)?.language !== language) {
+    store.set(key, { language, updated_at: new Date().toISOString() });
+    changed = true;
+  }
+
+  if (!CONFIG.languageFieldId || getCustomFieldValue(conversation, CONFIG.languageFieldId) === language) return changed;
+
+  try {
+    await updateCustomFields(conversation.id, [{ id: CONFIG.languageFieldId, value: language }]);
+    return true;
+  } catch (error) {
+    logger.warn('Could not store the reply language on the conversation', { language, error });
+    return changed;
+  }
+}
+
+/**
+ * Language to use for a fixed template that exists in `available`
+ * languages; falls back (and logs it) to TEMPLATE_FALLBACK_LANGUAGE, or the
+ * first available language
+ */
+export function templateLanguage(template, language, available) {
+  if (available.includes(language)) return language;
+
+  const fallback = available.includes(CONFIG.templateFallbackLanguage) ? CONFIG.templateFallbackLanguage : available[0];
+  logger.warn('Template not available in the reply language - using fallback', { template, language, fallback, available });
+  return fallback;
+}
@@ -0,0 +1,133 @@
+/**
+ * Conversation Lifecycle
+ *
+ * Box 3 lifecycle stages, derived from the conversation's tags (see
+ * states_and_tags in config/box3-workflows-full-lifecycle.json), and the
+ * intents that are valid candidates in each stage. Intent detection uses
+ * this to interpret short replies in context: "ja, prima" accepts the offer
+ * after OFFER_SENT, but Proposal_Accepted is not a candidate before an offer
+ * exists.
+ */
+
+import { CONFIG } from './config.js';
+import { toPlainText } from './intent-rules.js';
+
+const ALWAYS = ['Question', 'Additional_Info'];
+const DECLINE = ['Klant_Weigert', 'CLOSED_LOST'];
+
+/**
+ * Stages in lifecycle order; a conversation is in the latest stage for
+ * which it has a tag (CLOSED_LOST wins over everything)
+ */
+export const LIFECYCLE_STAGES = [
+  {
+    name: 'new',
+    tags: [],
+    intents: ['Nieuwe_Aanvraag', 'Klant_Wil_Doorgaan', 'DOCS_RECEIVED', ...DECLINE, ...ALWAYS]
+  },
+  {
+    name: 'documents',
+    tags: ['DOCS_REQUESTED', 'DOCS_RECEIVED', 'DOCS_COMPLETE', 'DOCS_UNDER_REVIEW'],
+    intents: ['DOCS_RECEIVED', 'Klant_Wil_Doorgaan', ...DECLINE, ...ALWAYS]
+  },
+  {
+    name: 'questions',
+    tags: ['QUESTIONS_PREPARED', 'QUESTIONS_SENT', 'QUESTIONS_ANSWERED', 'OFFER_READY'],
+    intents: ['QUESTIONS_ANSWERED', 'DOCS_RECEIVED', ...DECLINE, ...ALWAYS]
+  },
+  {
+    name: 'offer',
+    tags: ['OFFER_SENT'],
+    intents: ['Proposal_Accepted', 'Klant_Wil_Doorgaan', 'Payment_Confirmed', ...DECLINE, ...ALWAYS]
+  },
+  {
+    name: 'payment',
+    tags: ['Proposal_Accepted', 'PAYMENT_STARTED'],
+    intents: ['Payment_Confirmed', ...DECLINE, ...ALWAYS]
+  },
+  {
+    name: 'paid',
+    tags: ['SIGNED_AND_PAID'],
+    intents: ['Payment_Confirmed', 'DOCS_RECEIVED', ...ALWAYS]
+  },
+  {
+    name: 'closed',
+    tags: ['CLOSED_LOST'],
+    intents: ['Nieuwe_Aanvraag', 'Klant_Wil_Doorgaan', ...ALWAYS]
+  }
+];
+
+const LIFECYCLE_TAGS = new Set(LIFECYCLE_STAGES.flatMap(stage => stage.tags));
+
+/**
+ * Tag names from a conversation payload (tags may be strings or { name } objects)
+ */
+export function getTagNames(conversation) {
+  if (!Array.isArray(conversation?.tags)) return null;
+  return conversation.tags.map(tag => (typeof tag === 'string' ? tag : tag?.name)).filter(Boolean);
+}
+
+/**
+ * Current lifecycle stage for a list of tag names
+ */
+export function determineStage(tags = []) {
+  const tagSet = new Set(tags);
+  const stage = [...LIFECYCLE_STAGES].reverse().find(s => s.tags.some(tag => tagSet.has(tag)));
+  return stage || LIFECYCLE_STAGES[0];
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+}
+
+/**
+ * Intent context for a single message outside a conversation (test
+ * endpoint, evaluation CLI); null when neither tags nor an agent message
+ * are given
+ */
+export function buildMessageIntentContext(text, { tags = null, lastAgentMessage = null } = {}) {
+  if (!tags && !lastAgentMessage) return null;
+
+  const threads = [{ type: 'customer', body: text, createdAt: new Date().toISOString() }];
+  if (lastAgentMessage) {
+    threads.unshift({ type: 'message', body: lastAgentMessage, createdAt: new Date(0).toISOString() });
+  }
+  return buildIntentContext({ _embedded: { threads } }, tags || []);
+}
+
+/**
+ * Build the context for intent detection from the conversation's threads
+ * and current tags
+ *
+ * Returns { stage, tags, candidates, customerThread, customerMessage,
+ * lastAgentMessage, history }; customerThread is null when the
+ * conversation has no customer message.
+ */
+export function buildIntentContext(conversation, tags = []) {
+  const threads = (conversation._embedded?.threads || [])
+    .filter(t => t.type === 'customer' || t.type === 'message')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  // Prefer real customer threads; older payloads only mark messages
+  const customerThreads = threads.filter(t => t.type === 'customer');
+  const customerThread = (customerThreads.length > 0 ? customerThreads : threads).at(-1) || null;
+  const earlier = customerThread ? threads.slice(0, threads.indexOf(customerThread)) : [];
+
+  const lastAgentThread = earlier.filter(t => t.type === 'message').at(-1);
+  const history = earlier
+    .slice(-CONFIG.intentHistoryThreads)
+    .map(t => `[${t.type === 'customer' ? 'Customer' : 'Agent'}]: ${truncate(toPlainText(t.body), 500)}`)
+    .join('\n\n');
+
+  const stage = determineStage(tags);
+
+  return {
+    stage: stage.name,
+    tags: tags.filter(tag => LIFECYCLE_TAGS.has(tag)),
+    candidates: stage.intents,
+    customerThread,
+    customerMessage: customerThread?.body || '',
+    lastAgentMessage: lastAgentThread ? truncate(toPlainText(lastAgentThread.body), 1500) : '',
+    history
+  };
+}
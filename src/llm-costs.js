@@ -0,0 +1,261 @@
+/**
+ * LLM Costs and Budgets
+ *
+ * Token usage of every chat completion is recorded with its conversation ID
+ * (from the log context), agent, task and model, and priced with the table
+ * in LLM_PRICES_FILE (default config/llm-prices.json, price per 1 million
+ * tokens). Usage is kept per day, conversation, agent, task and model in
+ * DATA_DIR/llm-usage.json and reported on GET /admin/costs.
+ *
+ * Budget caps (in the price table's currency, 0 = no cap):
+ * - LLM_CONVERSATION_BUDGET: total spend on one conversation
+ * - LLM_DAILY_BUDGET: total spend per day (UTC)
+ *
+ * Once a cap is reached, chat completions fail fast with
+ * LLMBudgetExceededError and the caller falls back to a template or a human.
+ * The check runs before each call, so the call that crosses a cap still
+ * completes.
+ */
+
+import fs from 'fs';
+import { CONFIG } from './config.js';
+import { createJsonStore } from './json-store.js';
+import { getLLMTasks } from './llm-tasks.js';
+import { getLogContext, logger } from './logger.js';
+import { llmCost } from './metrics.js';
+
+const TOKENS_PER_PRICE = 1_000_000;
+
+/**
+ * Thrown instead of calling the model once a budget cap is reached
+ */
+export class LLMBudgetExceededError extends Error {
+  constructor(scope, spent, limit, currency) {
+    const label = scope === 'conversation' ? 'Conversation' : 'Daily';
+    super(`${label} LLM budget reached (${spent.toFixed(4)} of ${limit} ${currency})`);
+    this.name = 'LLMBudgetExceededError';
+    this.scope = scope;
+    this.spent = spent;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Read and validate the price table; throws on an invalid file so it stops
+ * the server at startup
+ *
+ * Returns { currency, models: { [model]: { input, output } } }.
+ */
+export function loadLLMPrices(filePath = CONFIG.llmPricesFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+
+  if (typeof config.currency !== 'string' || !config.currency.trim()) {
+    errors.push('currency: needs a currency code (e.g. USD)');
+  }
+  if (!config.models || typeof config.models !== 'object' || Array.isArray(config.models)) {
+    errors.push('models: needs an object of prices per model');
+  }
+
+  const models = {};
+  for (const [model, price] of Object.entries(config.models || {})) {
+    for (const key of ['input', 'output']) {
+      if (typeof price?.[key] !== 'number' || price[key] < 0) {
+        errors.push(`${model}: ${key} must be a price of zero or more per 1 million tokens`);
+      }
+    }
+    models[model] = { input: price?.input, output: price?.output };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM prices in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return { currency: config.currency, models };
+}
+
+let defaultPrices = null;
+
+/**
+ * Price table from LLM_PRICES_FILE, loaded once; warns about task models
+ * without a price
+ */
+export function getLLMPrices() {
+  if (!defaultPrices) {
+    defaultPrices = loadLLMPrices();
+
+    const { tasks, agents } = getLLMTasks();
+    const unpriced = [...new Set([...Object.values(tasks), ...Object.values(agents)]
+      .filter(settings => settings.provider !== 'stub' && !defaultPrices.models[settings.model])
+      .map(settings => settings.model))];
+
+    logger.info('LLM prices loaded', { file: CONFIG.llmPricesFile, currency: defaultPrices.currency, models: Object.keys(defaultPrices.models).length });
+    if (unpriced.length > 0) {
+      logger.warn('LLM models without a price - their calls are not counted against the budgets', { models: unpriced });
+    }
+  }
+  return defaultPrices;
+}
+
+/**
+ * Cost of one completion, or null when the model has no price
+ */
+export function completionCost(provider, model, usage) {
+  if (provider === 'stub') return 0;
+
+  const price = getLLMPrices().models[model];
+  if (!price) return null;
+
+  return ((usage?.prompt_tokens || 0) * price.input + (usage?.completion_tokens || 0) * price.output) / TOKENS_PER_PRICE;
+}
+
+let usageStore = null;
+
+/**
+ * Usage per day, conversation, agent, task and model in DATA_DIR/llm-usage.json
+ */
+export function getUsageStore() {
+  usageStore ??= createJsonStore('llm-usage');
+  return usageStore;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Record the token usage of a completion for the conversation in the
+ * current log context
+ */
+export function recordLLMUsage({ task, agent, provider, model, usage }) {
+  const conversationId = getLogContext().conversationId ?? null;
+  const cost = completionCost(provider, model, usage);
+  const day = today();
+  const key = [day, conversationId ?? '-', agent, task, provider, model].join('|');
+
+  const store = getUsageStore();
+  const row = store.get(key) || {
+    day,
+    conversation_id: conversationId,
+    agent,
+    task,
+    provider,
+    model,
+    calls: 0,
+    unpriced_calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    cost: 0
+  };
+
+  store.set(key, {
+    ...row,
+    calls: row.calls + 1,
+    unpriced_calls: row.unpriced_calls + (cost === null ? 1 : 0),
+    prompt_tokens: row.prompt_tokens + (usage?.prompt_tokens || 0),
+    completion_tokens: row.completion_tokens + (usage?.completion_tokens || 0),
+    cost: row.cost + (cost || 0)
+  });
+
+  if (cost) llmCost.inc({ agent, task, model }, cost);
+  if (cost === null) logger.warn('LLM model has no price - usage recorded without cost', { model, provider });
+}
+
+function sumCost(rows) {
+  return rows.reduce((sum, row) => sum + row.cost, 0);
+}
+
+/**
+ * Total spend on a conversation
+ */
+export function getConversationCost(conversationId) {
+  return sumCost(getUsageStore().values().filter(row => String(row.conversation_id) === String(conversationId)));
+}
+
+/**
+ * Total spend on a day (YYYY-MM-DD, UTC)
+ */
+export function getDailyCost(day = today()) {
+  return sumCost(getUsageStore().values().filter(row => row.day === day));
+}
+
+/**
+ * Throw LLMBudgetExceededError when the conversation or daily cap is
+ * reached; `conversationId` defaults to the one in the log context
+ */
+export function assertLLMBudget(conversationId = getLogContext().conversationId) {
+  const { currency } = getLLMPrices();
+
+  if (CONFIG.llmConversationBudget > 0 && conversationId !== undefined && conversationId !== null) {
+    const spent = getConversationCost(conversationId);
+    if (spent >= CONFIG.llmConversationBudget) {
+      throw new LLMBudgetExceededError('conversation', spent, CONFIG.llmConversationBudget, currency);
+    }
+  }
+
+  if (CONFIG.llmDailyBudget > 0) {
+    const spent = getDailyCost();
+    if (spent >= CONFIG.llmDailyBudget) {
+      throw new LLMBudgetExceededError('daily', spent, CONFIG.llmDailyBudget, currency);
+    }
+  }
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Sum rows per value of `field`, most expensive first
+ */
+function groupBy(rows, field) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row[field] ?? null;
+    const group = groups.get(key) || { [field]: key, calls: 0, unpriced_calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+    group.calls += row.calls;
+    group.unpriced_calls += row.unpriced_calls;
+    group.prompt_tokens += row.prompt_tokens;
+    group.completion_tokens += row.completion_tokens;
+    group.cost += row.cost;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(group => ({ ...group, cost: roundCost(group.cost) }))
+    .sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * Cost report for GET /admin/costs, optionally limited to days from/to
+ * (YYYY-MM-DD, inclusive) or one conversation
+ */
+export function buildCostReport({ from = null, to = null, conversationId = null } = {}) {
+  const rows = getUsageStore().values()
+    .filter(row => (!from || row.day >= from) && (!to || row.day <= to))
+    .filter(row => conversationId === null || String(row.conversation_id) === String(conversationId));
+
+  const [total] = groupBy(rows.map(row => ({ ...row, all: true })), 'all');
+
+  return {
+    currency: getLLMPrices().currency,
+    from,
+    to,
+    total: {
+      calls: total?.calls || 0,
+      unpriced_calls: total?.unpriced_calls || 0,
+      prompt_tokens: total?.prompt_tokens || 0,
+      completion_tokens: total?.completion_tokens || 0,
+      cost: total?.cost || 0
+    },
+    by_day: groupBy(rows, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    by_agent: groupBy(rows, 'agent'),
+    by_task: groupBy(rows, 'task'),
+    by_model: groupBy(rows, 'model'),
+    by_conversation: groupBy(rows, 'conversation_id'),
+    budgets: {
+      conversation: CONFIG.llmConversationBudget || null,
+      daily: CONFIG.llmDailyBudget || null,
+      spent_today: roundCost(getDailyCost())
+    }
+  };
+}
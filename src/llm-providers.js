@@ -0,0 +1,98 @@
+/**
+ * LLM Providers
+ *
+ * Every provider speaks the OpenAI chat completions protocol; they differ in
+ * URL and authentication:
+ * - openai: api.openai.com, or another region/proxy via OPENAI_BASE_URL
+ * - azure: an Azure OpenAI resource (AZURE_OPENAI_ENDPOINT), e.g. in the EU;
+ *   a task's model is the name of the deployment
+ * - compatible: any OpenAI-compatible server (LLM_COMPATIBLE_BASE_URL), such
+ *   as a self-hosted vLLM or Ollama; the API key is optional
+ * - stub: answers locally without network access (development and tests)
+ *
+ * Which provider and model a task uses is configured in llm-tasks.js.
+ */
+
+import { CONFIG } from './config.js';
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+const STUB_TEXT = '<p>[STUB] Deze tekst komt van de lokale stub-provider; er is geen taalmodel aangeroepen.</p>';
+
+// The five steps the welcome guardrail requires (see WELCOME_STEPS in guardrails.js)
+const STUB_WELCOME = `${STUB_TEXT}
+<ol>
+<li><strong>Aanleveren gegevens</strong></li>
+<li><strong>Analyse</strong></li>
+<li><strong>Voorstel</strong></li>
+<li><strong>Akkoord</strong></li>
+<li><strong>Indiening</strong></li>
+</ol>`;
+
+/**
+ * Local answer in the shape of a chat completion: a JSON request gets an
+ * empty intent result (detection then asks for review), any other request a
+ * fixed text that is clearly marked as not written by a model. The welcome
+ * task gets the five steps as well, so it passes the guardrails and the
+ * send path can be tried offline.
+ */
+function stubCompletion(payload, { task } = {}) {
+  let content = task === 'welcome' ? STUB_WELCOME : STUB_TEXT;
+  if (payload.response_format?.type === 'json_object') {
+    content = JSON.stringify({ primary_intent: null, intents: [] });
+  }
+
+  return {
+    id: `stub-${Date.now()}`,
+    object: 'chat.completion',
+    model: payload.model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+export const PROVIDERS = {
+  openai: {
+    name: 'openai',
+    setting: 'OPENAI_API_KEY',
+    isConfigured: () => !!CONFIG.openaiApiKey,
+    chatUrl: () => `${trimSlash(CONFIG.openaiBaseUrl)}/chat/completions`,
+    modelsUrl: () => `${trimSlash(CONFIG.openaiBaseUrl)}/models`,
+    headers: () => ({ 'Authorization': `Bearer ${CONFIG.openaiApiKey}` })
+  },
+  azure: {
+    name: 'azure',
+    setting: 'AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY',
+    isConfigured: () => !!(CONFIG.azureOpenaiEndpoint && CONFIG.azureOpenaiApiKey),
+    chatUrl: deployment => `${trimSlash(CONFIG.azureOpenaiEndpoint)}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${CONFIG.azureOpenaiApiVersion}`,
+    modelsUrl: () => `${trimSlash(CONFIG.azureOpenaiEndpoint)}/openai/models?api-version=${CONFIG.azureOpenaiApiVersion}`,
+    headers: () => ({ 'api-key': CONFIG.azureOpenaiApiKey })
+  },
+  compatible: {
+    name: 'compatible',
+    setting: 'LLM_COMPATIBLE_BASE_URL',
+    isConfigured: () => !!CONFIG.llmCompatibleBaseUrl,
+    chatUrl: () => `${trimSlash(CONFIG.llmCompatibleBaseUrl)}/chat/completions`,
+    modelsUrl: () => `${trimSlash(CONFIG.llmCompatibleBaseUrl)}/models`,
+    headers: () => (CONFIG.llmCompatibleApiKey ? { 'Authorization': `Bearer ${CONFIG.llmCompatibleApiKey}` } : {})
+  },
+  stub: {
+    name: 'stub',
+    setting: null,
+    isConfigured: () => true,
+    complete: stubCompletion
+  }
+};
+
+/**
+ * Provider by name; throws for an unknown provider
+ */
+export function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
@@ -0,0 +1,147 @@
+/**
+ * LLM Task Settings
+ *
+ * Provider, model, temperature and max tokens per task, read from
+ * LLM_TASKS_FILE (default config/llm-tasks.json) and validated at startup:
+ * - intent: intent detection
+ * - welcome: welcome emails
+ * - summary: rolling summaries of long conversation histories
+ * - draft: draft replies, with overrides per agent (FreeScout user ID)
+ *
+ * Settings a task leaves out come from `defaults`. LLM_PROVIDER overrides
+ * the provider of every task, e.g. LLM_PROVIDER=stub to run the server
+ * without network access.
+ */
+
+import fs from 'fs';
+import { AGENTS } from './agents.js';
+import { CONFIG } from './config.js';
+import { getProvider, PROVIDERS } from './llm-providers.js';
+import { logger } from './logger.js';
+
+export const LLM_TASKS = ['intent', 'welcome', 'summary', 'draft'];
+
+const SETTINGS = ['provider', 'model', 'temperature', 'max_tokens'];
+
+function pickSettings(entry = {}) {
+  return Object.fromEntries(SETTINGS.filter(key => entry[key] !== undefined).map(key => [key, entry[key]]));
+}
+
+function validateSettings(label, settings, errors) {
+  if (!PROVIDERS[settings.provider]) {
+    errors.push(`${label}: unknown provider "${settings.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (typeof settings.model !== 'string' || !settings.model.trim()) {
+    errors.push(`${label}: needs a model`);
+  }
+  if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+    errors.push(`${label}: temperature must be a number between 0 and 2`);
+  }
+  if (!Number.isInteger(settings.max_tokens) || settings.max_tokens <= 0) {
+    errors.push(`${label}: max_tokens must be a positive integer`);
+  }
+}
+
+/**
+ * Read and validate the task file; throws on an invalid configuration so it
+ * stops the server at startup
+ *
+ * Returns { tasks: { [task]: settings }, agents: { [userId]: settings } }
+ * with every setting resolved.
+ */
+export function loadLLMTasks(filePath = CONFIG.llmTasksFile) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+  const override = CONFIG.llmProvider ? { provider: CONFIG.llmProvider } : {};
+
+  if (CONFIG.llmProvider && !PROVIDERS[CONFIG.llmProvider]) {
+    errors.push(`LLM_PROVIDER: unknown provider "${CONFIG.llmProvider}"`);
+  }
+
+  Object.keys(config.tasks || {})
+    .filter(task => !LLM_TASKS.includes(task))
+    .forEach(task => errors.push(`${task}: unknown task (expected ${LLM_TASKS.join(', ')})`));
+
+  const defaults = pickSettings(config.defaults);
+  const tasks = {};
+  for (const task of LLM_TASKS) {
+    tasks[task] = { ...defaults, ...pickSettings(config.tasks?.[task]), ...override };
+    validateSettings(task, tasks[task], errors);
+  }
+
+  const agents = {};
+  for (const [userId, entry] of Object.entries(config.tasks?.draft?.agents || {})) {
+    if (!AGENTS[userId]) {
+      errors.push(`draft.agents.${userId}: unknown agent (expected ${Object.keys(AGENTS).join(', ')})`);
+      continue;
+    }
+    agents[userId] = { ...tasks.draft, ...pickSettings(entry), ...override };
+    validateSettings(`draft.agents.${userId}`, agents[userId], errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM task settings in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return { tasks, agents };
+}
+
+let defaultTasks = null;
+
+/**
+ * Task settings from LLM_TASKS_FILE, loaded once
+ */
+export function getLLMTasks() {
+  if (!defaultTasks) {
+    defaultTasks = loadLLMTasks();
+    logger.info('LLM task settings loaded', {
+      file: CONFIG.llmTasksFile,
+      tasks: Object.fromEntries(Object.entries(defaultTasks.tasks).map(([task, s]) => [task, `${s.provider}/${s.model}`])),
+      agents: Object.keys(defaultTasks.agents).length
+    });
+  }
+  return defaultTasks;
+}
+
+/**
+ * Settings for a task: { provider, model, temperature, max_tokens }
+ *
+ * `agentId` selects the agent's own draft settings when it has any.
+ */
+export function getTaskSettings(task, agentId = null) {
+  const { tasks, agents } = getLLMTasks();
+  if (task === 'draft' && agents[agentId]) {
+    return agents[agentId];
+  }
+  return tasks[task];
+}
+
+/**
+ * Whether the task's provider has its credentials
+ */
+export function isTaskConfigured(task, agentId = null) {
+  return getProvider(getTaskSettings(task, agentId).provider).isConfigured();
+}
+
+/**
+ * Every task and agent override with its provider, model and whether the
+ * provider is configured (for health checks and the startup banner)
+ */
+export function describeLLMTasks() {
+  const { tasks, agents } = getLLMTasks();
+  const entries = [
+    ...Object.entries(tasks),
+    ...Object.entries(agents).map(([userId, settings]) => [`draft.agents.${userId}`, settings])
+  ];
+
+  return entries.map(([task, settings]) => {
+    const provider = getProvider(settings.provider);
+    return {
+      task,
+      provider: settings.provider,
+      model: settings.model,
+      configured: provider.isConfigured(),
+      missing: provider.isConfigured() ? null : provider.setting
+    };
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Structured Logger
+ *
+ * JSON logs with levels and per-request context. Every incoming request gets
+ * a correlation ID (from X-Correlation-Id / X-Request-Id, or generated), and
+ * each log line written while handling it (including the background job and
+ * its OpenAI / FreeScout calls) carries that ID, the conversation ID and the
+ * event name, so one webhook can be traced end-to-end on Railway.
+ *
+ * Environment:
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ * - LOG_FORMAT: json | pretty (default json on Railway / NODE_ENV=production,
+ *   pretty for local development)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const PRETTY_LEVEL_LABELS = {
+  debug: '🐛 DEBUG',
+  info: 'ℹ️  INFO ',
+  warn: '⚠️  WARN ',
+  error: '❌ ERROR'
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+export const LOG_FORMAT = process.env.LOG_FORMAT ||
+  (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT ? 'json' : 'pretty');
+
+/**
+ * Current log context (correlation ID, conversation ID, event, ...)
+ */
+export function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * Run fn with extra context fields added to every log line it writes
+ */
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Serialize an error for a log line
+ */
+export function serializeError(error) {
+  if (!error) return undefined;
+  if (!(error instanceof Error)) return { message: String(error) };
+
+  return {
+    name: error.name,
+    message: error.message,
+    operation: error.operation,
+    status: error.status || error.response?.status,
+    response: error.response?.data,
+    stack: error.stack
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+
+  const { error, ...rest } = fields;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...getLogContext(),
+    ...rest
+  };
+
+  if (error) {
+    entry.error = serializeError(error);
+  }
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'pretty') {
+    const { timestamp, level: _level, message: _message, correlationId, ...details } = entry;
+    const stack = details.error?.stack;
+    if (details.error) delete details.error.stack;
+
+    const prefix = correlationId ? `[${correlationId.slice(0, 8)}] ` : '';
+    const detailText = Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : '';
+    stream.write(`${timestamp.slice(11, 23)} ${PRETTY_LEVEL_LABELS[level]} ${prefix}${message}${detailText}\n`);
+    if (stack) stream.write(`${stack}\n`);
+    return;
+  }
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Express middleware that assigns a correlation ID to each request and
+ * runs the rest of the request inside its log context
+ */
+export function requestLogContext(req, res, next) {
+  const correlationId = req.headers['x-correlation-id'] || req.headers['x-request-id'] || crypto.randomUUID();
+  res.set('X-Correlation-Id', correlationId);
+
+  const context = { correlationId };
+  const conversationId = req.body?.id ?? req.body?.conversation_id;
+  const event = req.headers['x-freescout-event'] || req.body?.event;
+  if (conversationId !== undefined) context.conversationId = conversationId;
+  if (event) context.event = event;
+
+  req.correlationId = correlationId;
+  contextStorage.run(context, next);
+}
@@ -0,0 +1,182 @@
+/**
+ * Prometheus Metrics
+ *
+ * In-process counters and histograms, exposed in the Prometheus text format
+ * on GET /metrics:
+ * - box3_webhook_events_total{event, outcome}: webhook deliveries and job results
+ * - box3_openai_request_duration_seconds{operation, status}
+ * - box3_freescout_request_duration_seconds{operation, status}
+ * - box3_onyx_request_duration_seconds{status}
+ * - box3_intents_detected_total{intent}
+ * - box3_openai_tokens_total{agent, operation, type}: prompt / completion tokens
+ *
+ * Values live in memory and start at zero after a restart; Prometheus
+ * handles counter resets.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Create and register a counter
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+/**
+ * Create and register a histogram (observations in seconds)
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, seconds) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+
+    /**
+     * Start timing; call the returned function with the final labels to record
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...extraLabels }, seconds);
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+/**
+ * All registered metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  return `${registry.map(metric => metric.render()).join('\n\n')}\n`;
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Application metrics
+
+export const webhookEvents = createCounter(
+  'box3_webhook_events_total',
+  'Webhook events by event name and outcome',
+  ['event', 'outcome']
+);
+
+export const openaiRequestDuration = createHistogram(
+  'box3_openai_request_duration_seconds',
+  'OpenAI chat completion latency per attempt',
+  ['operation', 'status']
+);
+
+export const freescoutRequestDuration = createHistogram(
+  'box3_freescout_request_duration_seconds',
+  'FreeScout API latency per attempt',
+  ['operation', 'status']
+);
+
+export const onyxRequestDuration = createHistogram(
+  'box3_onyx_request_duration_seconds',
+  'Onyx AI query latency',
+  ['status']
+);
+
+export const intentsDetected = createCounter(
+  'box3_intents_detected_total',
+  'Detected intents by intent label',
+  ['intent']
+);
+
+export const openaiTokens = createCounter(
+  'box3_openai_tokens_total',
+  'OpenAI token usage by agent, operation and token type (prompt, completion)',
+  ['agent', 'operation', 'type']
+);
+
+export const guardrailOutcomes = createCounter(
+  'box3_guardrail_outcomes_total',
+  'Guardrail results of generated output (welcome, draft): passed, regenerated, failed',
+  ['output', 'outcome']
+);
+
+export const llmCost = createCounter(
+  'box3_llm_cost_total',
+  'LLM spend in the price table currency by agent, task and model',
+  ['agent', 'task', 'model']
+);
+
+/**
+ * Status label for a failed HTTP call: the HTTP status or the network error code
+ */
+export function errorStatusLabel(error) {
+  return String(error.response?.status || error.code || 'error');
+}
@@ -0,0 +1,320 @@
+/**
+ * OpenAI Client
+ *
+ * Shared call policy for every chat completion, whichever provider serves
+ * it (OpenAI, Azure OpenAI or an OpenAI-compatible server; see
+ * llm-providers.js):
+ * - Request timeout
+ * - Retry with exponential backoff on 429, 5xx and network errors
+ *   (honours Retry-After / retry-after-ms up to the breaker cooldown; a
+ *   longer wait reschedules the job, see retry-delay.js)
+ * - Circuit breaker: after repeated failures the circuit opens and calls
+ *   fail fast with OpenAICircuitOpenError. After a cooldown one trial call is
+ *   let through (half-open); success closes the circuit again. The circuit
+ *   is shared by all providers.
+ *
+ * The stub provider answers locally and bypasses retries and the circuit.
+ *
+ * Every completion's token usage is recorded for cost tracking, and no call
+ * is made once a budget cap is reached (LLMBudgetExceededError, see
+ * llm-costs.js).
+ *
+ * With PII_REDACTION (default on) personal data in the user messages is
+ * replaced by placeholders before the request is sent or recorded, and put
+ * back into the answer (see pii.js).
+ *
+ * The job queue defers events that hit an open circuit and releases them
+ * when the circuit recovers (see onOpenAIRecovered).
+ *
+ * A response recorder (setResponseRecorder) can save responses keyed by
+ * request payload, or replay saved responses without network access; the
+ * intent evaluation CLI uses this to run offline.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+import { assertLLMBudget, recordLLMUsage } from './llm-costs.js';
+import { getProvider } from './llm-providers.js';
+import { logger } from './logger.js';
+import { auditRedaction, createRedactor } from './pii.js';
+import { retryDelayMs } from './retry-delay.js';
+import { errorStatusLabel, openaiRequestDuration, openaiTokens } from './metrics.js';
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Thrown instead of calling OpenAI while the circuit is open
+ */
+export class OpenAICircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(`OpenAI circuit is open - calls suspended until ${new Date(retryAt).toISOString()}`);
+    this.name = 'OpenAICircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Thrown when an OpenAI call fails after all retries
+ */
+export class OpenAIRequestError extends Error {
+  constructor(operation, cause, attempts) {
+    const status = cause.response?.status;
+    const detail = cause.response?.data?.error?.message || cause.message;
+    super(`OpenAI ${operation} failed${status ? ` (HTTP ${status})` : ''}: ${detail}`);
+
+    this.name = 'OpenAIRequestError';
+    this.operation = operation;
+    this.status = status || null;
+    this.attempts = attempts;
+    this.response = cause.response;
+    this.cause = cause;
+  }
+}
+
+// Circuit breaker state
+const circuit = {
+  state: 'closed',          // closed | open | half-open
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false
+};
+
+const recoveryListeners = [];
+
+// { mode: 'record' | 'replay', get(key), set(key, response) } or null
+let responseRecorder = null;
+
+/**
+ * Record responses to, or replay them from, a recorder; null turns it off
+ */
+export function setResponseRecorder(recorder) {
+  responseRecorder = recorder;
+}
+
+/**
+ * Recording key for a request payload
+ */
+export function recordingKey(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Register a callback that runs when the circuit closes after an outage
+ */
+export function onOpenAIRecovered(listener) {
+  recoveryListeners.push(listener);
+}
+
+/**
+ * Current circuit breaker status (for health checks)
+ */
+export function getOpenAICircuitStatus() {
+  return {
+    state: circuit.state,
+    consecutive_failures: circuit.consecutiveFailures,
+    opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    retry_at: circuit.openedAt ? new Date(circuit.openedAt + CONFIG.openaiBreakerCooldownMs).toISOString() : null
+  };
+}
+
+/**
+ * True when an error means OpenAI is unavailable: the circuit was already
+ * open, or this failure tripped it
+ */
+export function isOpenAIOutageError(error) {
+  return error instanceof OpenAICircuitOpenError ||
+    (error instanceof OpenAIRequestError && circuit.state === 'open');
+}
+
+/**
+ * How many deferred jobs may be released right now:
+ * all when closed, one trial once the cooldown is over, none while open
+ */
+export function openAIDeferredCapacity() {
+  if (circuit.state === 'closed') return Infinity;
+  if (circuit.trialInFlight) return 0;
+  return Date.now() >= circuit.openedAt + CONFIG.openaiBreakerCooldownMs ? 1 : 0;
+}
+
+function acquireCircuit() {
+  if (circuit.state === 'closed') return;
+
+  const retryAt = circuit.openedAt + CONFIG.openaiBreakerCooldownMs;
+  if (circuit.trialInFlight || Date.now() < retryAt) {
+    throw new OpenAICircuitOpenError(retryAt);
+  }
+
+  circuit.state = 'half-open';
+  circuit.trialInFlight = true;
+  logger.info('OpenAI circuit half-open - sending trial request');
+}
+
+function recordSuccess() {
+  const recovered = circuit.state !== 'closed';
+
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.trialInFlight = false;
+
+  if (recovered) {
+    logger.info('OpenAI circuit closed - resuming deferred events');
+    recoveryListeners.forEach(listener => listener());
+  }
+}
+
+function recordFailure() {
+  circuit.consecutiveFailures += 1;
+  circuit.trialInFlight = false;
+
+  if (circuit.state === 'half-open' || circuit.consecutiveFailures >= CONFIG.openaiBreakerThreshold) {
+    if (circuit.state !== 'open') {
+      logger.error('OpenAI circuit opened', { consecutive_failures: circuit.consecutiveFailures });
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Record prompt and completion tokens of a response
+ */
+function recordTokenUsage(operation, agent, usage) {
+  if (!usage) return;
+  openaiTokens.inc({ agent, operation, type: 'prompt' }, usage.prompt_tokens || 0);
+  openaiTokens.inc({ agent, operation, type: 'completion' }, usage.completion_tokens || 0);
+}
+
+/**
+ * Call the chat completions API of a provider and return the response body
+ *
+ * `operation` names the caller in logs and errors (e.g. 'detectIntent').
+ * `agent` is the agent name that token usage is reported under.
+ * `provider` is the provider name (see getTaskSettings); the payload's
+ * model is the deployment name for Azure. `task` is the LLM task the cost
+ * is recorded under, `prompt` the prompt label for the PII audit record.
+ * Throws LLMBudgetExceededError, without calling the provider, when a
+ * budget cap is reached.
+ */
+export async function createChatCompletion(operation, payload, options = {}) {
+  if (!CONFIG.piiRedaction) {
+    return sendChatCompletion(operation, payload, options);
+  }
+
+  // System prompts are ours; only the messages with customer data are redacted
+  const redactor = createRedactor();
+  const redacted = {
+    ...payload,
+    messages: payload.messages.map(message => (message.role === 'system' ? message : { ...message, content: redactor.redact(message.content) }))
+  };
+
+  const { counts, placeholders } = redactor.summary();
+  auditRedaction({
+    operation,
+    task: options.task || operation,
+    provider: options.provider || 'openai',
+    model: payload.model,
+    prompt: options.prompt || null,
+    redacted: counts,
+    placeholders
+  });
+
+  const completion = await sendChatCompletion(operation, redacted, options);
+  return {
+    ...completion,
+    choices: completion.choices.map(choice => ({
+      ...choice,
+      message: { ...choice.message, content: redactor.restore(choice.message.content) }
+    }))
+  };
+}
+
+/**
+ * Send one request: replay, stub, or the provider with retries and the circuit
+ */
+async function sendChatCompletion(operation, payload, { agent = 'none', provider = 'openai', task = operation } = {}) {
+  const llm = getProvider(provider);
+
+  if (responseRecorder?.mode === 'replay') {
+    const recorded = responseRecorder.get(recordingKey(payload));
+    if (!recorded) {
+      throw new OpenAIRequestError(operation, new Error('no recorded response for this request'), 0);
+    }
+    recordTokenUsage(operation, agent, recorded.usage);
+    return recorded;
+  }
+
+  if (llm.complete) {
+    const completion = llm.complete(payload, { task });
+    recordLLMUsage({ task, agent, provider, model: payload.model, usage: completion.usage });
+    return completion;
+  }
+
+  assertLLMBudget();
+  acquireCircuit();
+
+  let attempt = 0;
+
+  while (true) {
+    attempt += 1;
+    const endTimer = openaiRequestDuration.startTimer({ operation });
+    try {
+      const response = await axios.post(llm.chatUrl(payload.model), payload, {
+        headers: {
+          ...llm.headers(),
+          'Content-Type': 'application/json'
+        },
+        timeout: CONFIG.openaiTimeoutMs
+      });
+
+      endTimer({ status: String(response.status) });
+      recordSuccess();
+      recordTokenUsage(operation, agent, response.data.usage);
+      recordLLMUsage({ task, agent, provider, model: payload.model, usage: response.data.usage });
+      if (responseRecorder?.mode === 'record') {
+        responseRecorder.set(recordingKey(payload), response.data);
+      }
+      return response.data;
+    } catch (error) {
+      endTimer({ status: errorStatusLabel(error) });
+      const retryable = isRetryable(error);
+
+      // Client errors (bad request, invalid key) still mean OpenAI is reachable
+      if (error.response && !retryable) {
+        recordSuccess();
+        throw new OpenAIRequestError(operation, error, attempt);
+      }
+
+      if (!retryable || attempt > CONFIG.openaiMaxRetries || circuit.state === 'half-open') {
+        recordFailure();
+        throw new OpenAIRequestError(operation, error, attempt);
+      }
+
+      const delay = retryDelayMs(error, attempt, {
+        baseMs: CONFIG.openaiRetryBaseMs,
+        maxMs: CONFIG.openaiBreakerCooldownMs,
+        service: 'OpenAI',
+        operation
+      });
+      logger.warn('OpenAI call failed - retrying', {
+        operation,
+        provider,
+        status: error.response?.status,
+        code: error.code,
+        attempt,
+        max_retries: CONFIG.openaiMaxRetries,
+        retry_in_ms: delay
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
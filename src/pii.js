@@ -0,0 +1,156 @@
+/**
+ * PII Redaction
+ *
+ * Personal data is replaced by placeholders before a prompt leaves the
+ * server, and put back into the model's answer:
+ * - BSN: 9 digits (also 1234.56.782 / 123 456 782) that pass the elfproef
+ * - IBAN: with a valid mod-97 check digit
+ * - Email addresses
+ * - Phone numbers: Dutch (06, 020, +31) and international (+xx / 00xx)
+ * - Postcodes: 1234 AB
+ *
+ * Placeholders are stable within a prompt: the same value always becomes the
+ * same placeholder ([BSN_1], [IBAN_1], [EMAIL_2], ...), so the model can
+ * still refer to it. Every prompt gets an audit record in PII_AUDIT_LOG
+ * (JSON lines) with the number and placeholders of what was redacted, never
+ * the values themselves.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { getLogContext, logger } from './logger.js';
+
+const PLACEHOLDER = /\[(BSN|IBAN|EMAIL|PHONE|POSTCODE)_(\d+)\]/g;
+
+/**
+ * Dutch BSN check: 9×d1 + 8×d2 + … + 2×d8 − d9 is a multiple of 11
+ */
+export function isValidBsn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (!/^\d{9}$/.test(digits) || /^0+$/.test(digits)) return false;
+
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index === 8 ? -1 : 9 - index), 0);
+  return sum % 11 === 0;
+}
+
+/**
+ * IBAN check: the rearranged number modulo 97 is 1
+ */
+export function isValidIban(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  const numeric = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Detectors in the order they run: values with digits inside (email, IBAN)
+ * go first, so their digits are not taken for a BSN or phone number
+ */
+const DETECTORS = [
+  {
+    type: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    normalize: value => value.toLowerCase()
+  },
+  {
+    type: 'IBAN',
+    // Grouped IBANs may pick up a short word after them; validate() drops it
+    pattern: /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)\b/gi,
+    validate: value => {
+      if (isValidIban(value)) return value;
+      const shorter = value.replace(/ [A-Z0-9]{1,3}$/i, '');
+      return shorter !== value && isValidIban(shorter) ? shorter : null;
+    },
+    normalize: value => value.replace(/\s/g, '').toUpperCase()
+  },
+  {
+    type: 'BSN',
+    // Not 123.456.789: that is how amounts are written
+    pattern: /(?<![\d.,])(?:\d{9}|\d{3} \d{3} \d{3}|\d{4}\.\d{2}\.\d{3})(?![\d,]|\.\d)/g,
+    validate: value => (isValidBsn(value) ? value : null),
+    normalize: value => value.replace(/\D/g, '')
+  },
+  {
+    type: 'PHONE',
+    pattern: /(?<![\w+])(?:(?:(?:\+|00)31[\s-]?(?:\(0\)[\s-]?)?|0)[1-9](?:[\s-]?\d){8}|(?:\+|00)[1-9]\d{0,2}(?:[\s-]?\d){6,12})(?!\d)/g,
+    normalize: value => value.replace(/\D/g, '').replace(/^(0031|31|0)(?=\d{9}$)/, '')
+  },
+  {
+    type: 'POSTCODE',
+    // Uppercase only: "2024 en" is a year, not a postcode
+    pattern: /\b[1-9]\d{3} ?(?!SA|SD|SS)[A-Z]{2}\b/g,
+    normalize: value => value.replace(/\s/g, '')
+  }
+];
+
+/**
+ * Create a redactor for one prompt
+ *
+ * redact(text) replaces personal data with placeholders, restore(text) puts
+ * the values back, and summary() returns { counts: { [type]: n },
+ * placeholders } for the audit record.
+ */
+export function createRedactor() {
+  // type → normalized value → placeholder
+  const seen = new Map(DETECTORS.map(detector => [detector.type, new Map()]));
+  const values = new Map();
+
+  function placeholderFor(detector, value) {
+    const known = seen.get(detector.type);
+    const key = detector.normalize(value);
+    if (!known.has(key)) {
+      const placeholder = `[${detector.type}_${known.size + 1}]`;
+      known.set(key, placeholder);
+      values.set(placeholder, value);
+    }
+    return known.get(key);
+  }
+
+  return {
+    redact(text) {
+      if (typeof text !== 'string') return text;
+
+      return DETECTORS.reduce((result, detector) => result.replace(detector.pattern, match => {
+        const value = detector.validate ? detector.validate(match) : match;
+        if (!value) return match;
+        return `${placeholderFor(detector, value)}${match.slice(value.length)}`;
+      }), text);
+    },
+
+    restore(text) {
+      if (typeof text !== 'string') return text;
+      return text.replace(PLACEHOLDER, placeholder => values.get(placeholder) ?? placeholder);
+    },
+
+    summary() {
+      return {
+        counts: Object.fromEntries([...seen].filter(([, known]) => known.size > 0).map(([type, known]) => [type.toLowerCase(), known.size])),
+        placeholders: [...values.keys()]
+      };
+    }
+  };
+}
+
+/**
+ * Append the audit record of one prompt to PII_AUDIT_LOG (JSON lines)
+ */
+export function auditRedaction(record) {
+  const { correlationId, conversationId, event } = getLogContext();
+  const entry = JSON.stringify({ timestamp: new Date().toISOString(), correlationId, conversationId, event, ...record });
+
+  if (!CONFIG.piiAuditLog) return;
+
+  try {
+    fs.mkdirSync(path.dirname(CONFIG.piiAuditLog), { recursive: true });
+    fs.appendFileSync(CONFIG.piiAuditLog, `${entry}\n`);
+  } catch (error) {
+    logger.error('Failed to write PII audit log', { error });
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Prompt Registry
+ *
+ * System prompts live as files in PROMPTS_DIR (default prompts/), one per
+ * prompt, so tax specialists can edit them without a deploy:
+ *
+ *   ---
+ *   name: intake-agent
+ *   version: 3
+ *   description: Draft replies of the Intake Agent (FreeScout user 22)
+ *   variables: intents
+ *   ---
+ *   Prompt text with {{intents}} filled in at render time
+ *
+ * All prompts are validated at startup. With PROMPTS_HOT_RELOAD (default on)
+ * changed files are reloaded while the server runs; an invalid change, or a
+ * changed text without a new version, is rejected and the previous prompts
+ * stay in use. renderPrompt() returns the name and version with the text, so
+ * every generated email or draft can be traced back to its prompt.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AGENTS } from './agents.js';
+import { CONFIG } from './config.js';
+import { logger } from './logger.js';
+
+export const INTENT_PROMPT = 'intent-classifier';
+export const WELCOME_PROMPT = 'welcome-agent';
+export const DEFAULT_AGENT_PROMPT = 'default-agent';
+export const SUMMARY_PROMPT = 'history-summarizer';
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
+const VARIABLE = /\{\{\s*([a-z_][a-z0-9_]*)\s*\}\}/gi;
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Names of the prompts the server needs: intent, welcome, history summary,
+ * the default agent and every agent's own prompt
+ */
+function requiredPrompts() {
+  return [INTENT_PROMPT, WELCOME_PROMPT, SUMMARY_PROMPT, DEFAULT_AGENT_PROMPT, ...Object.values(AGENTS).map(agent => agent.prompt)];
+}
+
+/**
+ * Parse one prompt file; problems are added to `errors`
+ */
+function parsePromptFile(fileName, content, errors) {
+  const match = content.replace(/\r\n/g, '\n').match(FRONT_MATTER);
+  if (!match) {
+    errors.push(`${fileName}: missing front matter (--- name, version, variables ---)`);
+    return null;
+  }
+
+  const meta = {};
+  for (const line of match[1].split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  const prompt = {
+    name: meta.name,
+    version: Number(meta.version),
+    description: meta.description || '',
+    variables: (meta.variables || '').split(',').map(v => v.trim()).filter(Boolean),
+    template: match[2].trimEnd(),
+    file: fileName
+  };
+
+  const used = [...new Set([...prompt.template.matchAll(VARIABLE)].map(m => m[1]))];
+
+  if (prompt.name !== path.basename(fileName, '.md')) {
+    errors.push(`${fileName}: name "${prompt.name}" must match the file name`);
+  }
+  if (!Number.isInteger(prompt.version) || prompt.version < 1) {
+    errors.push(`${fileName}: version must be a positive integer`);
+  }
+  if (!prompt.template) {
+    errors.push(`${fileName}: prompt text is empty`);
+  }
+  used.filter(v => !prompt.variables.includes(v))
+    .forEach(v => errors.push(`${fileName}: uses {{${v}}} but does not declare it in variables`));
+  prompt.variables.filter(v => !used.includes(v))
+    .forEach(v => errors.push(`${fileName}: declares variable ${v} but never uses it`));
+
+  return prompt;
+}
+
+/**
+ * Read and validate every prompt in a directory; throws on an invalid
+ * prompt so it stops the server at startup
+ *
+ * Returns { [name]: { name, version, description, variables, template, file } }.
+ */
+export function loadPrompts(dir = CONFIG.promptsDir) {
+  const errors = [];
+  const prompts = {};
+
+  for (const fileName of fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+    const prompt = parsePromptFile(fileName, fs.readFileSync(path.join(dir, fileName), 'utf8'), errors);
+    if (prompt) prompts[prompt.name] = prompt;
+  }
+
+  requiredPrompts()
+    .filter(name => !prompts[name])
+    .forEach(name => errors.push(`${name}: prompt file ${name}.md is missing`));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompts in ${dir}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return prompts;
+}
+
+let activePrompts = null;
+let watcher = null;
+
+function promptVersions(prompts) {
+  return Object.fromEntries(Object.values(prompts).map(p => [p.name, p.version]));
+}
+
+/**
+ * Prompts from PROMPTS_DIR, loaded once (and replaced on hot reload)
+ */
+export function getPrompts() {
+  if (!activePrompts) {
+    activePrompts = loadPrompts();
+    logger.info('Prompts loaded', { dir: CONFIG.promptsDir, prompts: promptVersions(activePrompts) });
+  }
+  return activePrompts;
+}
+
+/**
+ * Reload all prompts; keeps the current ones when the new set is invalid or
+ * a prompt text changed without a version bump
+ */
+export function reloadPrompts() {
+  const current = getPrompts();
+
+  let next;
+  try {
+    next = loadPrompts();
+  } catch (error) {
+    logger.error('Prompt reload rejected - keeping current prompts', { error });
+    return false;
+  }
+
+  const unversioned = Object.values(next)
+    .filter(p => current[p.name] && current[p.name].template !== p.template && current[p.name].version >= p.version)
+    .map(p => p.name);
+  if (unversioned.length > 0) {
+    logger.error('Prompt reload rejected - changed prompts need a higher version', { prompts: unversioned });
+    return false;
+  }
+
+  const changed = Object.values(next)
+    .filter(p => current[p.name]?.version !== p.version)
+    .map(p => `${p.name} v${current[p.name]?.version ?? '-'} → v${p.version}`);
+
+  activePrompts = next;
+  if (changed.length > 0) logger.info('Prompts reloaded', { changed });
+  return true;
+}
+
+/**
+ * Watch PROMPTS_DIR and reload on changes (editors write several events per
+ * save, so reloads are debounced)
+ */
+export function watchPrompts() {
+  if (watcher) return;
+
+  let timer = null;
+  watcher = fs.watch(CONFIG.promptsDir, (eventType, fileName) => {
+    if (fileName && !fileName.endsWith('.md')) return;
+    clearTimeout(timer);
+    timer = setTimeout(reloadPrompts, RELOAD_DEBOUNCE_MS);
+  });
+  watcher.on('error', error => logger.error('Prompt watcher failed - hot reload stopped', { error }));
+  logger.info('Watching prompts for changes', { dir: CONFIG.promptsDir });
+}
+
+/**
+ * Fill in a prompt's variables
+ *
+ * Returns { name, version, text }; throws when a declared variable is
+ * missing.
+ */
+export function renderPrompt(name, variables = {}) {
+  const prompt = getPrompts()[name];
+  if (!prompt) {
+    throw new Error(`Unknown prompt "${name}"`);
+  }
+
+  const missing = prompt.variables.filter(v => variables[v] === undefined || variables[v] === null);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name} v${prompt.version} needs variables: ${missing.join(', ')}`);
+  }
+
+  return {
+    name: prompt.name,
+    version: prompt.version,
+    text: prompt.template.replace(VARIABLE, (match, variable) => String(variables[variable]))
+  };
+}
+
+/**
+ * Short label for line items and logs ("intake-agent v3")
+ */
+export function promptLabel(prompt) {
+  return `${prompt.name} v${prompt.version}`;
+}
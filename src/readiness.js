@@ -0,0 +1,158 @@
+/**
+ * Readiness Checks
+ *
+ * Probes each external dependency with a lightweight authenticated call and
+ * reports it as up, degraded or down with the measured latency:
+ * - FreeScout (critical): list one mailbox
+ * - Each LLM provider used by a task (critical): list models (no tokens
+ *   used); the stub provider is always up
+ * - Onyx AI (optional): health endpoint; skipped when no API key is set
+ *
+ * A dependency is down when it is unreachable, times out, answers 5xx or
+ * rejects the credentials; degraded when it answers slowly, is rate limited
+ * or answers with another client error. The overall status is down when a
+ * critical dependency is down.
+ */
+
+import axios from 'axios';
+import { CONFIG } from './config.js';
+import { createFreeScoutClient } from './freescout-client.js';
+import { getProvider } from './llm-providers.js';
+import { getLLMTasks } from './llm-tasks.js';
+import { getOpenAICircuitStatus } from './openai-client.js';
+
+// Probes fail fast instead of using the retry policy of regular calls
+const freescoutProbe = createFreeScoutClient({
+  ...CONFIG.freescout,
+  timeoutMs: CONFIG.readinessTimeoutMs,
+  maxRetries: 0
+});
+
+/**
+ * Classify a failed probe by HTTP status or network error
+ */
+function classifyError(error) {
+  const status = error.response?.status;
+
+  if (!status) {
+    return { status: 'down', reason: error.code === 'ECONNABORTED' ? 'timeout' : (error.code || error.message) };
+  }
+  if (status === 401 || status === 403) {
+    return { status: 'down', reason: `authentication failed (HTTP ${status})` };
+  }
+  if (status >= 500) {
+    return { status: 'down', reason: `HTTP ${status}` };
+  }
+  if (status === 429) {
+    return { status: 'degraded', reason: 'rate limited (HTTP 429)' };
+  }
+  return { status: 'degraded', reason: `HTTP ${status}` };
+}
+
+/**
+ * Run one probe and measure its latency
+ */
+async function probe(name, critical, call) {
+  const start = Date.now();
+
+  try {
+    await call();
+    const latencyMs = Date.now() - start;
+    const slow = latencyMs > CONFIG.readinessSlowMs;
+
+    return {
+      name,
+      critical,
+      status: slow ? 'degraded' : 'up',
+      latency_ms: latencyMs,
+      reason: slow ? `slow response (> ${CONFIG.readinessSlowMs} ms)` : null
+    };
+  } catch (error) {
+    return {
+      name,
+      critical,
+      ...classifyError(error),
+      latency_ms: Date.now() - start
+    };
+  }
+}
+
+function notConfigured(name, critical, setting) {
+  return {
+    name,
+    critical,
+    status: critical ? 'down' : 'disabled',
+    latency_ms: null,
+    reason: `${setting} not set`
+  };
+}
+
+function checkFreescout() {
+  if (!CONFIG.freescoutApiKey) {
+    return notConfigured('freescout', true, 'FREESCOUT_API_TOKEN');
+  }
+
+  return probe('freescout', true, () =>
+    freescoutProbe.get('readinessProbe', '/api/mailboxes', { params: { page: 1, pageSize: 1 } })
+  );
+}
+
+async function checkLLMProvider(name) {
+  const provider = getProvider(name);
+
+  if (provider.complete) {
+    return { name, critical: true, status: 'up', latency_ms: 0, reason: 'local stub' };
+  }
+  if (!provider.isConfigured()) {
+    return notConfigured(name, true, provider.setting);
+  }
+
+  const result = await probe(name, true, () =>
+    axios.get(provider.modelsUrl(), {
+      headers: provider.headers(),
+      timeout: CONFIG.readinessTimeoutMs
+    })
+  );
+
+  // Reachable again, but events are still deferred until the circuit closes
+  const circuit = getOpenAICircuitStatus();
+  if (result.status === 'up' && circuit.state !== 'closed') {
+    return { ...result, status: 'degraded', reason: `circuit ${circuit.state}` };
+  }
+  return result;
+}
+
+function checkOnyx() {
+  if (!CONFIG.onyxAiApiKey) {
+    return notConfigured('onyx', false, 'ONYX_AI_API_KEY');
+  }
+
+  return probe('onyx', false, () =>
+    axios.get(`${CONFIG.onyxAiUrl}/api/health`, {
+      headers: { 'Authorization': `Bearer ${CONFIG.onyxAiApiKey}` },
+      timeout: CONFIG.readinessTimeoutMs
+    })
+  );
+}
+
+/**
+ * Probe all dependencies in parallel and derive the overall status
+ */
+export async function checkReadiness() {
+  const { tasks, agents } = getLLMTasks();
+  const providers = [...new Set([...Object.values(tasks), ...Object.values(agents)].map(settings => settings.provider))];
+
+  const results = await Promise.all([checkFreescout(), ...providers.map(checkLLMProvider), checkOnyx()]);
+
+  let status = 'up';
+  if (results.some(result => result.critical && result.status === 'down')) {
+    status = 'down';
+  } else if (results.some(result => result.status === 'degraded' || result.status === 'down')) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    dependencies: Object.fromEntries(results.map(({ name, ...result }) => [name, result]))
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Retry Delay
+ *
+ * Delay before retrying a failed HTTP call, shared by the OpenAI and
+ * FreeScout clients: the server's retry-after-ms / Retry-After header when
+ * it sends one, exponential backoff otherwise, never more than `maxMs`.
+ *
+ * The single queue worker sleeps during the delay, so a server that asks
+ * for a longer wait (e.g. Retry-After: 3600) is not waited for: a
+ * RetryLaterError is thrown and the job queue runs the job again at that
+ * time instead.
+ */
+
+/**
+ * Thrown when a call should be tried again at `retryAt` (ms timestamp)
+ * rather than now; the job queue runs the job again then, without using up
+ * an attempt
+ */
+export class RetryLaterError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'RetryLaterError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Wait the server asks for in ms, or null when it sends no usable header
+ */
+export function retryAfterMs(error) {
+  const headers = error.response?.headers || {};
+
+  const retryAfterMsHeader = Number(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMsHeader) && retryAfterMsHeader > 0) return retryAfterMsHeader;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Delay before attempt `attempt + 1`; throws RetryLaterError when the server
+ * asks for more than `maxMs`
+ *
+ * `service` and `operation` name the call in the error message.
+ */
+export function retryDelayMs(error, attempt, { baseMs, maxMs, service, operation }) {
+  const requested = retryAfterMs(error);
+
+  if (requested !== null && requested > maxMs) {
+    throw new RetryLaterError(
+      `${service} ${operation} asked to retry in ${Math.round(requested / 1000)}s (more than ${Math.round(maxMs / 1000)}s)`,
+      Date.now() + requested
+    );
+  }
+
+  return Math.min(requested ?? baseMs * 2 ** (attempt - 1), maxMs);
+}
@@ -0,0 +1,198 @@
+/**
+ * Webhook Signature Verification
+ *
+ * HMAC-SHA256 verification for incoming webhooks. Every sender (FreeScout,
+ * payment provider) has its own shared secret and signs requests as:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * FreeScout's own webhooks carry no timestamp; they sign the raw body as
+ *
+ *   X-FreeScout-Signature: <base64 HMAC-SHA1 of the raw body>
+ *
+ * which is accepted for senders created with `freescoutSignature: true`.
+ *
+ * Requests are rejected when the signature is missing or invalid, when the
+ * timestamp is outside the tolerance window, or when the same signature was
+ * already accepted (replay). A repeat that the event deduplication answers
+ * (see `allowRepeat`) is let through, so the sender gets the original result.
+ * Without a secret every request is rejected, unless unsigned webhooks are
+ * explicitly allowed for local development. Every rejection is written to
+ * the audit log.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { webhookEvents } from './metrics.js';
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const FREESCOUT_SIGNATURE_HEADER = 'x-freescout-signature';
+
+/**
+ * Express JSON parser `verify` hook that keeps the raw body for HMAC checks
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Compute the expected signature for a timestamp and raw body
+ */
+export function computeSignature(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody || '');
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Compute the signature FreeScout's webhooks send for a raw body
+ */
+export function computeFreescoutSignature(secret, rawBody) {
+  return crypto.createHmac('sha1', secret).update(rawBody || '').digest('base64');
+}
+
+/**
+ * Throw unless every sender has a secret, or unsigned webhooks are allowed
+ *
+ * `secrets` maps env var names to their values.
+ */
+export function assertWebhookSecrets(secrets, allowUnsigned) {
+  const missing = Object.entries(secrets).filter(([, secret]) => !secret).map(([name]) => name);
+  if (missing.length > 0 && !allowUnsigned) {
+    throw new Error(`${missing.join(' and ')} not set - webhooks cannot be verified (set WEBHOOK_ALLOW_UNSIGNED=true for local development only)`);
+  }
+}
+
+/**
+ * Constant-time comparison of two signature strings
+ */
+function signaturesMatch(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Append a rejection record to the audit log (JSON lines) and the console
+ */
+function auditRejection(auditLogPath, record) {
+  const entry = JSON.stringify({ timestamp: new Date().toISOString(), ...record });
+  logger.warn('Webhook rejected', record);
+
+  if (!auditLogPath) return;
+
+  try {
+    fs.mkdirSync(path.dirname(auditLogPath), { recursive: true });
+    fs.appendFileSync(auditLogPath, `${entry}\n`);
+  } catch (error) {
+    logger.error('Failed to write webhook audit log', { error });
+  }
+}
+
+/**
+ * Create an Express middleware that verifies signed webhooks for one sender
+ *
+ * Options:
+ * - sender: name used in audit records (e.g. 'freescout', 'payment')
+ * - secret: shared secret; when empty, every request is rejected
+ * - allowUnsigned: skip verification when no secret is set (local development)
+ * - freescoutSignature: also accept FreeScout's X-FreeScout-Signature
+ * - toleranceSeconds: maximum clock skew between sender and server
+ * - auditLogPath: JSON lines file that receives every rejection
+ * - allowRepeat: (req) => boolean, lets an already accepted signature through
+ *   when a later middleware answers repeat deliveries
+ */
+export function verifyWebhookSignature({
+  sender,
+  secret,
+  allowUnsigned = false,
+  freescoutSignature = false,
+  toleranceSeconds = 300,
+  auditLogPath = null,
+  allowRepeat = () => false
+}) {
+  // Signatures accepted within the tolerance window (signature → expiry ms).
+  // Anything older is already rejected by the timestamp check.
+  const seenSignatures = new Map();
+
+  function pruneSeen(now) {
+    for (const [signature, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(signature);
+    }
+  }
+
+  return (req, res, next) => {
+    const signature = req.headers[SIGNATURE_HEADER];
+    const timestampHeader = req.headers[TIMESTAMP_HEADER];
+
+    const reject = (reason) => {
+      const event = req.headers['x-freescout-event'] || req.body?.event || null;
+      webhookEvents.inc({ event: event || sender, outcome: 'rejected' });
+
+      auditRejection(auditLogPath, {
+        sender,
+        reason,
+        path: req.originalUrl,
+        ip: req.ip,
+        event,
+        conversation_id: req.body?.id || req.body?.conversation_id || null,
+        timestamp_header: timestampHeader || null
+      });
+
+      return res.status(401).json({
+        status: 'error',
+        message: `Webhook rejected: ${reason}`
+      });
+    };
+
+    if (!secret) {
+      return allowUnsigned ? next() : reject('webhook secret not configured');
+    }
+
+    const now = Date.now();
+    let expected;
+
+    if (freescoutSignature && !signature && req.headers[FREESCOUT_SIGNATURE_HEADER]) {
+      // No timestamp to check; the seen-signature check below still catches replays
+      expected = computeFreescoutSignature(secret, req.rawBody);
+      if (!signaturesMatch(expected, String(req.headers[FREESCOUT_SIGNATURE_HEADER]))) {
+        return reject('invalid signature');
+      }
+    } else {
+      if (!signature || !timestampHeader) {
+        return reject('missing signature or timestamp header');
+      }
+
+      const timestamp = Number(timestampHeader);
+      if (!Number.isFinite(timestamp)) {
+        return reject('invalid timestamp header');
+      }
+
+      if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return reject('timestamp outside tolerance window');
+      }
+
+      expected = computeSignature(secret, timestampHeader, req.rawBody);
+      if (!signaturesMatch(expected, String(signature))) {
+        return reject('invalid signature');
+      }
+    }
+
+    pruneSeen(now);
+    if (seenSignatures.has(expected)) {
+      if (allowRepeat(req)) {
+        logger.info('Repeated signed delivery - passed on to deduplication', { sender });
+        return next();
+      }
+      return reject('replayed request');
+    }
+    seenSignatures.set(expected, now + toleranceSeconds * 2 * 1000);
+
+    next();
+  };
+}
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+const { createDeadLetterStore } = await import('../src/dead-letter.js');
+
+const failedJob = (overrides = {}) => ({
+  id: 'job-1',
+  event: 'workflow.convo.box3.welcome.generate',
+  conversation_id: 7,
+  attempts: 5,
+  payload: { id: 7 },
+  steps: { welcome_email: { held: false } },
+  ...overrides
+});
+
+test('a failed job is kept with its finished steps', () => {
+  const deadLetters = createDeadLetterStore();
+  const entry = deadLetters.recordFailure(failedJob(), new Error('upload failed'));
+
+  assert.equal(entry.status, 'failed');
+  assert.deepEqual(deadLetters.get(entry.id).steps, { welcome_email: { held: false } });
+});
+
+test('a failed replay keeps the steps of the replay job', () => {
+  const deadLetters = createDeadLetterStore();
+  const entry = deadLetters.recordFailure(failedJob(), new Error('upload failed'));
+  deadLetters.markReplayed(entry.id, 'job-2');
+
+  const steps = { welcome_email: { held: false }, upload_request: true };
+  const updated = deadLetters.recordFailure(failedJob({ id: 'job-2', attempts: 1, deadLetterId: entry.id, steps }), new Error('note failed'));
+
+  assert.equal(updated.id, entry.id);
+  assert.equal(updated.attempts, 6);
+  assert.deepEqual(updated.steps, steps);
+});
+
+test('entries older than the retention are removed', () => {
+  const deadLetters = createDeadLetterStore({ retentionDays: 30 });
+  const entry = deadLetters.recordFailure(failedJob({ id: 'job-old' }), new Error('upload failed'));
+
+  // Age the entry past the retention on disk and reopen the store
+  const file = path.join(process.env.DATA_DIR, 'failed-events.json');
+  const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  records[entry.id].updatedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(records));
+
+  const reopened = createDeadLetterStore({ retentionDays: 30 });
+  assert.equal(reopened.get(entry.id), undefined);
+  assert.ok(reopened.list().length > 0);
+});
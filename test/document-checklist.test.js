@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { buildChecklist, formatChecklistNote, loadDocumentChecklist } from '../src/document-checklist.js';
+
+const checklist = loadDocumentChecklist(fileURLToPath(new URL('../config/document-checklist.json', import.meta.url)));
+const CATEGORIES = ['aangifte', 'bank', 'investments', 'real_estate', 'debts'];
+
+const documents = year => CATEGORIES.map(category => ({ file_name: `${category}.pdf`, category, year }));
+
+test('every category for every known year is complete', () => {
+  assert.equal(buildChecklist(checklist, documents(2021)).complete, true);
+  assert.equal(buildChecklist(checklist, documents(null), ['2021']).complete, true);
+});
+
+test('a missing category is not complete', () => {
+  const result = buildChecklist(checklist, documents(2021).slice(1));
+  assert.equal(result.complete, false);
+  assert.deepEqual(result.years[2021].missing, ['aangifte']);
+});
+
+test('documents without a recognised tax year are never complete', () => {
+  const result = buildChecklist(checklist, documents(null));
+
+  assert.deepEqual(Object.keys(result.years), ['unknown']);
+  assert.equal(result.years.unknown.missing.length, 0);
+  assert.equal(result.complete, false);
+  assert.match(formatChecklistNote(checklist, result), /belastingjaar is niet herkend/);
+});
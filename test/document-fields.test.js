@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { extractFieldCandidates, loadDocumentFields } from '../src/document-fields.js';
+
+const fieldConfig = loadDocumentFields(new URL('../config/document-fields.json', import.meta.url));
+
+function wozValues(line) {
+  return extractFieldCandidates(fieldConfig, [line])
+    .filter(candidate => candidate.field === 'WOZ_VALUE')
+    .map(candidate => candidate.value);
+}
+
+test('the day of a date is not taken for an amount', () => {
+  assert.deepEqual(wozValues('Vastgestelde waarde per 1 januari 2022 € 350.000'), [350000]);
+  assert.deepEqual(wozValues('WOZ-waarde per 1 januari 2022 350.000'), [350000]);
+  assert.deepEqual(wozValues('WOZ-waarde 1 jan. 2022 350.000'), [350000]);
+  assert.deepEqual(wozValues('Vastgestelde waarde per 01-01-2022: 350.000'), [350000]);
+});
+
+test('a date without an amount gives no candidate', () => {
+  assert.deepEqual(wozValues('WOZ-waarde peildatum 1 januari 2021'), []);
+});
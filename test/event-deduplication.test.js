@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-'));
+const { buildDeduplicationKey, createEventDeduplicator, isDeduplicable } = await import('../src/event-deduplication.js');
+const { computeSignature, verifyWebhookSignature } = await import('../src/webhook-signature.js');
+
+const SECRET = 'test-secret';
+const getEvent = req => req.headers['x-freescout-event'];
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Signature check, then deduplication, then the handler - as on /webhook/event
+function deliver(middlewares, req) {
+  const res = createResponse();
+  let handled = false;
+  const run = index => {
+    if (index === middlewares.length) {
+      handled = true;
+      res.status(202).json({ status: 'accepted', job_id: 'job-1' });
+      return;
+    }
+    middlewares[index](req, res, () => run(index + 1));
+  };
+  run(0);
+  return { res, handled };
+}
+
+function signedRequest(conversation, event = 'workflow.convo.box3.intent.detect') {
+  const rawBody = JSON.stringify(conversation);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    headers: {
+      'x-freescout-event': event,
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': computeSignature(SECRET, timestamp, rawBody)
+    },
+    rawBody: Buffer.from(rawBody),
+    body: conversation,
+    originalUrl: '/webhook/event'
+  };
+}
+
+test('the key is event, conversation and latest thread', () => {
+  const conversation = { id: 7, _embedded: { threads: [{ id: 1, createdAt: '2026-01-01T00:00:00Z' }, { id: 2, createdAt: '2026-01-02T00:00:00Z' }] } };
+  assert.equal(buildDeduplicationKey('workflow.convo.box3.intent.detect', conversation), 'workflow.convo.box3.intent.detect:7:2');
+  assert.equal(isDeduplicable('workflow.convo.box3.intent.detect', { id: 7 }), true);
+  assert.equal(isDeduplicable(undefined, { id: 7 }), false);
+});
+
+test('a signed redelivery gets the original response instead of a replay rejection', () => {
+  const middlewares = [
+    verifyWebhookSignature({ sender: 'freescout', secret: SECRET, allowRepeat: req => isDeduplicable(getEvent(req), req.body) }),
+    createEventDeduplicator({ getEvent })
+  ];
+  const request = signedRequest({ id: 11, _embedded: { threads: [{ id: 3 }] } });
+
+  const first = deliver(middlewares, request);
+  assert.equal(first.handled, true);
+  assert.equal(first.res.statusCode, 202);
+
+  const repeat = deliver(middlewares, request);
+  assert.equal(repeat.handled, false);
+  assert.equal(repeat.res.statusCode, 202);
+  assert.equal(repeat.res.headers['X-Idempotent-Replay'], 'true');
+  assert.deepEqual(repeat.res.body, first.res.body);
+});
+
+test('a signed repeat that cannot be deduplicated is still rejected as a replay', () => {
+  const middlewares = [
+    verifyWebhookSignature({ sender: 'freescout', secret: SECRET, allowRepeat: req => isDeduplicable(getEvent(req), req.body) }),
+    createEventDeduplicator({ getEvent })
+  ];
+  const request = signedRequest({ subject: 'no conversation id' });
+
+  assert.equal(deliver(middlewares, request).handled, true);
+
+  const repeat = deliver(middlewares, request);
+  assert.equal(repeat.handled, false);
+  assert.equal(repeat.res.statusCode, 401);
+  assert.match(repeat.res.body.message, /replayed request/);
+});
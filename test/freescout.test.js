@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+process.env.FREESCOUT_BASE_URL = 'https://freescout.example.com';
+const { freescoutFileUrl } = await import('../src/freescout.js');
+
+test('attachment URLs on the FreeScout server are accepted', () => {
+  assert.equal(freescoutFileUrl('https://freescout.example.com/storage/a.pdf'), 'https://freescout.example.com/storage/a.pdf');
+  assert.equal(freescoutFileUrl('/storage/a.pdf'), 'https://freescout.example.com/storage/a.pdf');
+});
+
+test('attachment URLs on other hosts are refused', () => {
+  for (const url of ['https://evil.example/a.pdf', '//evil.example/a.pdf', 'http://freescout.example.com/a.pdf', 'https://freescout.example.com@evil.example/', 'http://169.254.169.254/latest', null]) {
+    assert.equal(freescoutFileUrl(url), null, String(url));
+  }
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { applyGuardrails, findUnsupportedFacts, generateWithGuardrails, stripSignature } from '../src/guardrails.js';
+
+const STEPS = '<ol><li>Een</li><li>Twee</li><li>Drie</li><li>Vier</li><li>Vijf</li></ol>';
+
+test('code fences, signatures and disallowed HTML are removed', () => {
+  const text = '```html\n<p>Beste Jan,</p><script>alert(1)</script><p>Tot ziens.</p><p>Met vriendelijke groet,</p><p>Piet</p>\n```';
+  const { html, fixes, problems } = applyGuardrails(text);
+
+  assert.equal(html.includes('<script>'), false);
+  assert.equal(html.includes('Met vriendelijke groet'), false);
+  assert.equal(html.includes('Piet'), false);
+  assert.ok(html.includes('Tot ziens.'));
+  assert.deepEqual(fixes.slice(0, 2), ['code fences removed', 'signature removed']);
+  assert.deepEqual(problems, []);
+});
+
+test('a signature line is cut with everything after it', () => {
+  assert.equal(stripSignature('<p>Dank.</p><p>Kind regards,</p><p>Jan</p>').includes('Jan'), false);
+});
+
+test('amounts and dates that are not in the sources are problems', () => {
+  const sources = ['Uw vermogen was € 120.000 op 1 januari 2022.'];
+
+  assert.deepEqual(findUnsupportedFacts('<p>Vermogen: 120.000 euro op 01-01-2022.</p>', sources), { amounts: [], dates: [] });
+  assert.deepEqual(
+    findUnsupportedFacts('<p>U krijgt € 2.500 terug vóór 15 maart 2025.</p>', sources),
+    { amounts: ['€ 2.500'], dates: ['15 maart 2025'] }
+  );
+});
+
+test('welcome emails need an ordered list with five steps', () => {
+  assert.deepEqual(applyGuardrails(`<p>Welkom</p>${STEPS}`, { requireSteps: true }).problems, []);
+  assert.deepEqual(applyGuardrails('<p>Welkom</p>', { requireSteps: true }).problems, ['no <ol> with the 5 steps']);
+  assert.deepEqual(
+    applyGuardrails('<ol><li>Een</li><li>Twee</li></ol>', { requireSteps: true }).problems,
+    ['<ol> has 2 steps instead of 5']
+  );
+});
+
+test('output with problems is regenerated and the last attempt is returned', async () => {
+  const bodies = ['<p>U krijgt € 999 terug.</p>', '<p>U krijgt € 999 terug.</p>'];
+  let calls = 0;
+  const result = await generateWithGuardrails('draft', async () => ({ body: bodies[calls++], sourceText: '' }));
+
+  assert.equal(calls, 2);
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.problems, ['amount € 999 is not in the data']);
+});
+
+test('output that passes after regenerating has no problems', async () => {
+  const bodies = ['<p>U krijgt € 999 terug.</p>', '<p>Wij rekenen het na.</p>'];
+  let calls = 0;
+  const result = await generateWithGuardrails('draft', async () => ({ body: bodies[calls++], sourceText: '' }));
+
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.body, '<p>Wij rekenen het na.</p>');
+});
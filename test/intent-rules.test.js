@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { classifyWithRules, loadIntentRules } from '../src/intent-rules.js';
+
+const ruleSet = loadIntentRules(fileURLToPath(new URL('../config/intent-rules.json', import.meta.url)));
+const intentsOf = result => result.matches.map(match => match.intent);
+
+test('a plain payment confirmation is decided by the rules', () => {
+  const result = classifyWithRules(ruleSet, 'Ik heb het bedrag vandaag betaald.');
+  assert.equal(result.certain, true);
+  assert.deepEqual(intentsOf(result), ['Payment_Confirmed']);
+});
+
+test('a payment with a further question goes to the LLM', () => {
+  for (const text of ['Ik heb betaald en heb nog een vraag over 2021', 'I have paid. When will you file the objection']) {
+    const result = classifyWithRules(ruleSet, text);
+    assert.deepEqual(intentsOf(result), ['Payment_Confirmed'], text);
+    assert.equal(result.certain, false, text);
+  }
+});
+
+test('question markers in the subject do not block the rules', () => {
+  assert.equal(classifyWithRules(ruleSet, 'Ik heb betaald.', 'Re: Vraag over box 3').certain, true);
+});
+
+test('negated matches are ignored', () => {
+  for (const text of ['Ik heb nog niet betaald.', 'I have not paid yet', 'Ik ben niet akkoord.']) {
+    const result = classifyWithRules(ruleSet, text);
+    assert.deepEqual(intentsOf(result), [], text);
+    assert.equal(result.certain, false, text);
+  }
+});
+
+test('a negated match keeps other matches from being certain', () => {
+  const result = classifyWithRules(ruleSet, 'Ik heb overgemaakt, maar ben niet akkoord met de factuur.');
+  assert.deepEqual(intentsOf(result), ['Payment_Confirmed']);
+  assert.deepEqual(result.ignored, ['proposal-accepted-nl']);
+  assert.equal(result.certain, false);
+});
+
+test('questions about a payment are not payment confirmations', () => {
+  const result = classifyWithRules(ruleSet, 'Is het al betaald?');
+  assert.equal(intentsOf(result).includes('Payment_Confirmed'), false);
+});
+
+test('a paid tax assessment is not a payment confirmation', () => {
+  for (const text of ['De voorlopige aanslag heb ik al betaald.', 'I have paid the tax assessment for 2021']) {
+    const result = classifyWithRules(ruleSet, text);
+    assert.deepEqual(intentsOf(result), [], text);
+    assert.equal(result.certain, false, text);
+  }
+});
+
+test('conflicting intents are never certain', () => {
+  const result = classifyWithRules(ruleSet, 'Ik heb betaald. Ik wil niet verder.');
+  assert.deepEqual(result.conflicts, [['Klant_Weigert', 'Payment_Confirmed']]);
+  assert.equal(result.certain, false);
+  assert.equal(result.raw.primary_intent, null);
+});
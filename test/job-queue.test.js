@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test } from 'node:test';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+const { createJobQueue, createJobSteps, NonRetryableError } = await import('../src/job-queue.js');
+const { RetryLaterError } = await import('../src/retry-delay.js');
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await sleep(5);
+  }
+}
+
+test('steps without a queue are not kept anywhere', () => {
+  const steps = createJobSteps();
+  assert.equal(steps.isDone('email'), false);
+  steps.complete('email', { held: false });
+  assert.deepEqual(steps.get('email'), { held: false });
+});
+
+test('a retry skips the steps an earlier attempt finished', async () => {
+  const sent = [];
+  const queue = createJobQueue({
+    baseDelayMs: 1,
+    pollIntervalMs: 5,
+    handler: async (job, steps) => {
+      if (!steps.isDone('email')) {
+        sent.push('email');
+        steps.complete('email', { chars: 42 });
+      }
+      if (job.attempts === 1) throw new Error('line item failed');
+      return { email: steps.get('email') };
+    }
+  });
+  queue.start();
+
+  const { id } = queue.enqueue('test.steps', { id: 1 });
+  await waitFor(() => queue.get(id).status === 'completed');
+  queue.stop();
+
+  const job = queue.get(id);
+  assert.deepEqual(sent, ['email']);
+  assert.equal(job.attempts, 2);
+  assert.deepEqual(job.steps, { email: { chars: 42 } });
+  assert.deepEqual(job.result, { email: { chars: 42 } });
+  assert.equal(job.payload, null);
+});
+
+test('a failed job hands its steps and payload to onFailed', async () => {
+  const failed = [];
+  const queue = createJobQueue({
+    pollIntervalMs: 5,
+    handler: async (job, steps) => {
+      steps.complete('email');
+      throw new NonRetryableError('bad payload');
+    },
+    onFailed: job => failed.push(job)
+  });
+
+  const { id } = queue.enqueue('test.failed', { id: 2 });
+  await waitFor(() => queue.get(id).status === 'failed');
+
+  assert.equal(failed.length, 1);
+  assert.deepEqual(failed[0].steps, { email: true });
+  assert.deepEqual(failed[0].payload, { id: 2 });
+  assert.equal(queue.get(id).payload, null);
+});
+
+test('RetryLaterError queues the job again at retryAt without using an attempt', async () => {
+  const retryAt = Date.now() + 60 * 60 * 1000;
+  const queue = createJobQueue({
+    pollIntervalMs: 5,
+    handler: async () => {
+      throw new RetryLaterError('FreeScout asked to retry in 3600s', retryAt);
+    }
+  });
+
+  const { id } = queue.enqueue('test.retry-later', { id: 3 });
+  await waitFor(() => queue.get(id).lastError !== null);
+
+  const job = queue.get(id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 0);
+  assert.equal(job.runAt, retryAt);
+  assert.match(job.lastError, /retry in 3600s/);
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'language-'));
+delete process.env.LANGUAGE_FIELD_ID;
+const { detectLanguage, resolveLanguage, storeLanguage } = await import('../src/language.js');
+
+const conversation = (id, body, extra = {}) => ({
+  id,
+  ...extra,
+  _embedded: { threads: [{ id: 1, type: 'customer', body, createdAt: '2026-01-01T00:00:00Z' }] }
+});
+
+test('a clear message is detected', () => {
+  assert.equal(detectLanguage('Thank you, I would like to know how the objection works for my savings this year.').language, 'en');
+  assert.equal(resolveLanguage(conversation(1, 'Ik heb een vraag over mijn aangifte van dit jaar, kan ik die nog wijzigen?')).source, 'detected');
+});
+
+test('a detected language is kept locally without LANGUAGE_FIELD_ID', async () => {
+  const first = conversation(2, 'Thank you for your email, I would like to know what you need from me for the objection.', { locale: 'nl' });
+  const detected = resolveLanguage(first);
+  assert.deepEqual([detected.language, detected.source], ['en', 'detected']);
+
+  assert.equal(await storeLanguage(first, detected.language), true);
+  assert.equal(await storeLanguage(first, detected.language), false);
+
+  // "ok" is too short to detect; the stored language wins over the Dutch locale
+  const reply = resolveLanguage(conversation(2, 'ok', { locale: 'nl' }));
+  assert.deepEqual([reply.language, reply.source], ['en', 'stored']);
+});
+
+test('without a stored language a short reply falls back to the locale', () => {
+  const reply = resolveLanguage(conversation(3, 'ok', { locale: 'de' }));
+  assert.deepEqual([reply.language, reply.source], ['de', 'locale']);
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRedactor, isValidBsn, isValidIban } from '../src/pii.js';
+
+test('BSN elfproef', () => {
+  assert.equal(isValidBsn('123456782'), true);
+  assert.equal(isValidBsn('1234.56.782'), true);
+  assert.equal(isValidBsn('123456789'), false);
+  assert.equal(isValidBsn('000000000'), false);
+});
+
+test('IBAN mod-97 check', () => {
+  assert.equal(isValidIban('NL91ABNA0417164300'), true);
+  assert.equal(isValidIban('NL91 ABNA 0417 1643 00'), true);
+  assert.equal(isValidIban('NL91ABNA0417164301'), false);
+});
+
+test('valid BSNs and IBANs are redacted and restored', () => {
+  const redactor = createRedactor();
+  const text = 'Mijn BSN is 123 456 782 en mijn rekening NL91 ABNA 0417 1643 00. Nogmaals: 123456782.';
+  const redacted = redactor.redact(text);
+
+  assert.equal(redacted, 'Mijn BSN is [BSN_1] en mijn rekening [IBAN_1]. Nogmaals: [BSN_1].');
+  assert.deepEqual(redactor.summary(), { counts: { iban: 1, bsn: 1 }, placeholders: ['[IBAN_1]', '[BSN_1]'] });
+  assert.equal(redactor.restore('Wij storten op [IBAN_1] (BSN [BSN_1]).'), 'Wij storten op NL91 ABNA 0417 1643 00 (BSN 123 456 782).');
+});
+
+test('numbers that fail the checks are left alone', () => {
+  const redactor = createRedactor();
+  const text = 'Factuur 123456789, rekening NL91ABNA0417164301, vermogen 123.456.782 euro.';
+  assert.equal(redactor.redact(text), text);
+  assert.deepEqual(redactor.summary().placeholders, []);
+});
+
+test('unknown placeholders are not restored', () => {
+  const redactor = createRedactor();
+  assert.equal(redactor.restore('Zie [IBAN_9].'), 'Zie [IBAN_9].');
+});
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { RetryLaterError, retryAfterMs, retryDelayMs } from '../src/retry-delay.js';
+
+const withHeaders = headers => ({ response: { headers } });
+const options = { baseMs: 1000, maxMs: 60000, service: 'FreeScout', operation: 'getConversation' };
+
+test('Retry-After is read as seconds, as a date or from retry-after-ms', () => {
+  assert.equal(retryAfterMs(withHeaders({ 'retry-after': '5' })), 5000);
+  assert.equal(retryAfterMs(withHeaders({ 'retry-after-ms': '250' })), 250);
+  assert.ok(retryAfterMs(withHeaders({ 'retry-after': new Date(Date.now() + 10000).toUTCString() })) > 8000);
+  assert.equal(retryAfterMs(new Error('no response')), null);
+});
+
+test('without a header the delay backs off exponentially up to maxMs', () => {
+  assert.equal(retryDelayMs(new Error('timeout'), 1, options), 1000);
+  assert.equal(retryDelayMs(new Error('timeout'), 3, options), 4000);
+  assert.equal(retryDelayMs(new Error('timeout'), 10, options), 60000);
+});
+
+test('a longer Retry-After than maxMs throws RetryLaterError for the job queue', () => {
+  assert.equal(retryDelayMs(withHeaders({ 'retry-after': '30' }), 1, options), 30000);
+
+  const before = Date.now();
+  assert.throws(() => retryDelayMs(withHeaders({ 'retry-after': '3600' }), 1, options), error => {
+    assert.ok(error instanceof RetryLaterError);
+    assert.ok(error.retryAt >= before + 3600 * 1000);
+    assert.match(error.message, /FreeScout getConversation asked to retry in 3600s/);
+    return true;
+  });
+});
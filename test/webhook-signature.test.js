@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  assertWebhookSecrets,
+  computeFreescoutSignature,
+  computeSignature,
+  verifyWebhookSignature
+} from '../src/webhook-signature.js';
+
+const SECRET = 'test-secret';
+
+function deliver(middleware, { headers = {}, body = '{"id":1}' } = {}) {
+  const req = { headers, rawBody: Buffer.from(body), body: JSON.parse(body), originalUrl: '/webhook/event', ip: '127.0.0.1' };
+  const result = { status: null, passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    }
+  };
+  middleware(req, res, () => { result.passed = true; });
+  return result;
+}
+
+function signed(body, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    body,
+    headers: {
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-signature': computeSignature(SECRET, String(timestamp), body)
+    }
+  };
+}
+
+test('a validly signed request passes once and its replay is rejected', () => {
+  const verify = verifyWebhookSignature({ sender: 'test', secret: SECRET });
+  const delivery = signed('{"id":1}');
+
+  assert.equal(deliver(verify, delivery).passed, true);
+
+  const replay = deliver(verify, delivery);
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /replayed request/);
+});
+
+test('a replay is let through when allowRepeat answers it', () => {
+  const verify = verifyWebhookSignature({ sender: 'test', secret: SECRET, allowRepeat: () => true });
+  const delivery = signed('{"id":2}');
+
+  assert.equal(deliver(verify, delivery).passed, true);
+  assert.equal(deliver(verify, delivery).passed, true);
+});
+
+test('missing, invalid and expired signatures are rejected', () => {
+  const verify = verifyWebhookSignature({ sender: 'test', secret: SECRET, toleranceSeconds: 300 });
+
+  assert.match(deliver(verify).body.message, /missing signature/);
+
+  const tampered = signed('{"id":3}');
+  assert.match(deliver(verify, { ...tampered, body: '{"id":4}' }).body.message, /invalid signature/);
+
+  const expired = signed('{"id":5}', Math.floor(Date.now() / 1000) - 301);
+  assert.match(deliver(verify, expired).body.message, /outside tolerance/);
+});
+
+test('requests are rejected when no secret is configured', () => {
+  const verify = verifyWebhookSignature({ sender: 'test', secret: undefined });
+  const result = deliver(verify);
+
+  assert.equal(result.status, 401);
+  assert.match(result.body.message, /secret not configured/);
+});
+
+test('unsigned requests pass only with the explicit override', () => {
+  const verify = verifyWebhookSignature({ sender: 'test', secret: undefined, allowUnsigned: true });
+  assert.equal(deliver(verify).passed, true);
+
+  const withSecret = verifyWebhookSignature({ sender: 'test', secret: SECRET, allowUnsigned: true });
+  assert.equal(deliver(withSecret).status, 401);
+});
+
+test('FreeScout signatures are accepted only when enabled', () => {
+  const body = '{"id":6}';
+  const delivery = { body, headers: { 'x-freescout-signature': computeFreescoutSignature(SECRET, body) } };
+
+  assert.equal(deliver(verifyWebhookSignature({ sender: 'test', secret: SECRET }), delivery).status, 401);
+
+  const verify = verifyWebhookSignature({ sender: 'freescout', secret: SECRET, freescoutSignature: true });
+  assert.equal(deliver(verify, delivery).passed, true);
+  assert.match(deliver(verify, delivery).body.message, /replayed request/);
+  assert.match(deliver(verify, { ...delivery, body: '{"id":7}' }).body.message, /invalid signature/);
+});
+
+test('startup requires every secret unless unsigned webhooks are allowed', () => {
+  assert.throws(() => assertWebhookSecrets({ A_SECRET: 'x', B_SECRET: '' }, false), /B_SECRET not set/);
+  assert.doesNotThrow(() => assertWebhookSecrets({ A_SECRET: 'x', B_SECRET: '' }, true));
+  assert.doesNotThrow(() => assertWebhookSecrets({ A_SECRET: 'x', B_SECRET: 'y' }, false));
+});